@@ -0,0 +1,191 @@
+// @ts-check
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * @typedef {Object} ThemeColors
+ * @property {string} [title_color] - Hex colour without "#".
+ * @property {string} [text_color]
+ * @property {string} [icon_color]
+ * @property {string} [bg_color]
+ * @property {string} [border_color]
+ */
+
+/** Colour keys a theme may define, as in upstream github-readme-stats. */
+const THEME_COLOR_KEYS = [
+  "title_color",
+  "text_color",
+  "icon_color",
+  "bg_color",
+  "border_color",
+];
+
+/**
+ * Remove a YAML comment (`#` at the start or after whitespace, outside of
+ * quotes) from a line.
+ * @param {string} line
+ * @returns {string}
+ */
+const stripYamlComment = (line) => {
+  let quote = "";
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = "";
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+};
+
+/**
+ * Remove matching surrounding quotes from a YAML scalar.
+ * @param {string} value
+ * @returns {string}
+ */
+const unquoteYaml = (value) => {
+  const trimmed = value.trim();
+  const first = trimmed[0];
+  if (
+    trimmed.length >= 2 &&
+    (first === '"' || first === "'") &&
+    trimmed.endsWith(first)
+  ) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+};
+
+/**
+ * Parse the small YAML subset needed for theme files: nested mappings by
+ * indentation, plain or quoted scalars (always read as strings) and
+ * comments. Lists, anchors and multi-line scalars are not supported.
+ * @param {string} text YAML document.
+ * @returns {Record<string, unknown>} Parsed mapping.
+ */
+const parseSimpleYaml = (text) => {
+  /** @type {Record<string, unknown>} */
+  const root = {};
+  /** @type {{ indent: number; value: Record<string, unknown> }[]} */
+  const stack = [{ indent: -1, value: root }];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = stripYamlComment(rawLine).trimEnd();
+    const content = line.trim();
+    if (!content || content === "---") return;
+
+    const lineNumber = index + 1;
+    const indentText = line.slice(0, line.length - line.trimStart().length);
+    if (indentText.includes("\t")) {
+      throw new Error(
+        `Tabs are not allowed for indentation (line ${lineNumber}).`,
+      );
+    }
+    if (content.startsWith("- ") || content === "-") {
+      throw new Error(`YAML lists are not supported (line ${lineNumber}).`);
+    }
+    const match = /^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/.exec(content);
+    if (!match) {
+      throw new Error(`Expected "key: value" on line ${lineNumber}.`);
+    }
+
+    const indent = indentText.length;
+    while (indent <= stack[stack.length - 1].indent) stack.pop();
+    const parent = stack[stack.length - 1].value;
+    const key = unquoteYaml(match[1]);
+    if (match[2] === undefined || match[2].trim() === "") {
+      /** @type {Record<string, unknown>} */
+      const child = {};
+      parent[key] = child;
+      stack.push({ indent, value: child });
+    } else {
+      parent[key] = unquoteYaml(match[2]);
+    }
+  });
+
+  return root;
+};
+
+/**
+ * Parse and validate custom theme definitions: a mapping of theme names to
+ * colour keys (see THEME_COLOR_KEYS) with hex values, "#" optional.
+ * @param {string} text Theme definitions.
+ * @param {"json" | "yaml"} format Syntax of `text`.
+ * @returns {Record<string, ThemeColors>} Themes keyed by name.
+ */
+const parseCustomThemes = (text, format) => {
+  let parsed;
+  try {
+    parsed = format === "json" ? JSON.parse(text) : parseSimpleYaml(text);
+  } catch (err) {
+    throw new Error(
+      `Invalid custom themes ${format.toUpperCase()}: ${err instanceof Error ? err.message : err}`,
+    );
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error("Custom themes must map theme names to colours.");
+  }
+
+  /** @type {Record<string, ThemeColors>} */
+  const result = {};
+  for (const [name, theme] of Object.entries(parsed)) {
+    if (!theme || typeof theme !== "object" || Array.isArray(theme)) {
+      throw new Error(`Custom theme "${name}" must map colour keys to values.`);
+    }
+    /** @type {Record<string, string>} */
+    const colors = {};
+    for (const [key, value] of Object.entries(theme)) {
+      if (!THEME_COLOR_KEYS.includes(key)) {
+        throw new Error(
+          `Unknown key "${key}" in custom theme "${name}"; expected one of ${THEME_COLOR_KEYS.join(", ")}.`,
+        );
+      }
+      const color = String(value).trim().replace(/^#/, "");
+      if (!/^[0-9a-fA-F]{3,8}$/.test(color)) {
+        throw new Error(
+          `Invalid ${key} "${value}" in custom theme "${name}"; expected a hex colour.`,
+        );
+      }
+      colors[key] = color;
+    }
+    result[name] = colors;
+  }
+  return result;
+};
+
+/**
+ * Load custom themes from the `custom_themes` input: inline JSON (starting
+ * with "{"), inline YAML (several lines), or the path of a .json, .yml or
+ * .yaml file relative to `baseDir`.
+ * @param {string | undefined} value Input value.
+ * @param {string} [baseDir] Directory relative paths are resolved against.
+ * @returns {Promise<Record<string, ThemeColors>>} Themes keyed by name.
+ */
+const loadCustomThemes = async (value, baseDir = process.cwd()) => {
+  const trimmed = (value || "").trim();
+  if (!trimmed) return {};
+  if (trimmed.startsWith("{")) return parseCustomThemes(trimmed, "json");
+  if (trimmed.includes("\n")) return parseCustomThemes(trimmed, "yaml");
+
+  const filePath = path.resolve(baseDir, trimmed);
+  let text;
+  try {
+    text = await readFile(filePath, "utf8");
+  } catch (err) {
+    throw new Error(
+      `Could not read custom themes file ${trimmed}: ${err instanceof Error ? err.message : err}`,
+    );
+  }
+  return parseCustomThemes(text, /\.json$/i.test(filePath) ? "json" : "yaml");
+};
+
+export {
+  THEME_COLOR_KEYS,
+  parseSimpleYaml,
+  parseCustomThemes,
+  loadCustomThemes,
+};
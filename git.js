@@ -0,0 +1,285 @@
+// @ts-check
+
+import core from "@actions/core";
+import { execFile } from "node:child_process";
+import { existsSync } from "node:fs";
+import { copyFile, mkdir, mkdtemp, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { promisify } from "node:util";
+
+const execFileAsync = promisify(execFile);
+
+/** Commit author used when the `author` input is empty. */
+const DEFAULT_AUTHOR = {
+  name: "github-actions[bot]",
+  email: "41898282+github-actions[bot]@users.noreply.github.com",
+};
+
+/** Commit message used when the `commit_message` input is empty. */
+const DEFAULT_COMMIT_MESSAGE = "Update PR cards";
+
+/**
+ * @typedef {Object} CommitOptions
+ * @property {string[]} files - Paths written or deleted by the run.
+ * @property {string} [message] - Commit message.
+ * @property {string} [branch] - Branch to push to; defaults to the checked
+ *   out branch. Other branches are committed in a temporary worktree.
+ * @property {{ name: string; email: string }} [author] - Commit author.
+ * @property {string} [cwd] - Repository working directory.
+ * @property {number} [retries] - Push attempts after rejected pushes.
+ * @property {(ms: number) => Promise<void>} [sleep] - Delay between
+ *   attempts (for tests).
+ */
+
+/**
+ * @typedef {Object} CommitResult
+ * @property {boolean} committed - Whether a commit was created.
+ * @property {string} [sha] - The pushed commit.
+ * @property {string} [branch] - The branch it was pushed to.
+ */
+
+/**
+ * The git subcommand of an argument list, after any `-c key=value` options.
+ * @param {string[]} args Git arguments.
+ * @returns {string} Subcommand, e.g. "commit".
+ */
+const gitSubcommand = (args) => {
+  let index = 0;
+  while (args[index] === "-c") index += 2;
+  return args[index] || "";
+};
+
+/**
+ * Run a git command and return its trimmed output.
+ * @param {string[]} args Git arguments.
+ * @param {string} [cwd] Working directory.
+ * @returns {Promise<string>} Standard output.
+ * @throws {Error} With git's error output if the command fails.
+ */
+const runGit = async (args, cwd = process.cwd()) => {
+  try {
+    const { stdout } = await execFileAsync("git", args, {
+      cwd,
+      maxBuffer: 16 * 1024 * 1024,
+    });
+    return stdout.trim();
+  } catch (err) {
+    const stderr = /** @type {{ stderr?: string }} */ (err).stderr?.trim();
+    throw new Error(
+      `git ${gitSubcommand(args)} failed: ${stderr || (err instanceof Error ? err.message : err)}`,
+    );
+  }
+};
+
+/**
+ * Parse the `author` input.
+ * @param {string | undefined} value "Name <email>", or empty for the
+ *   github-actions bot.
+ * @returns {{ name: string; email: string }}
+ * @throws {Error} If the value is not in "Name <email>" form.
+ */
+const parseAuthor = (value) => {
+  const trimmed = (value || "").trim();
+  if (!trimmed) return DEFAULT_AUTHOR;
+  const match = /^(.+?)\s*<([^<>\s]+@[^<>\s]+)>$/.exec(trimmed);
+  if (!match) {
+    throw new Error(`Invalid author "${value}": expected "Name <email>".`);
+  }
+  return { name: match[1], email: match[2] };
+};
+
+/**
+ * Whether a failed push was rejected because the remote branch moved on.
+ * @param {unknown} err Error from runGit.
+ * @returns {boolean}
+ */
+const isRejectedPush = (err) =>
+  err instanceof Error &&
+  /\[rejected\]|non-fast-forward|fetch first|failed to push some refs/i.test(
+    err.message,
+  );
+
+/**
+ * Stage the given files (including deletions) and commit them if they
+ * changed. Other changes in the working tree are left out of the commit.
+ * @param {string[]} files Paths to commit, absolute or relative to `cwd`.
+ * @param {string} message Commit message.
+ * @param {string[]} identity `-c` options with the author.
+ * @param {string} cwd Working tree.
+ * @returns {Promise<boolean>} Whether a commit was created.
+ */
+const commitFiles = async (files, message, identity, cwd) => {
+  const exists = (file) => existsSync(path.resolve(cwd, file));
+  // Deleted files can only be staged if they were committed before.
+  const missing = files.filter((file) => !exists(file));
+  const deleted = missing.length
+    ? (await runGit(["ls-files", "--", ...missing], cwd))
+        .split("\n")
+        .filter(Boolean)
+    : [];
+  const paths = [...files.filter(exists), ...deleted];
+  if (!paths.length) return false;
+
+  await runGit(["add", "--all", "--", ...paths], cwd);
+  const changed = await runGit(
+    ["diff", "--cached", "--name-only", "--", ...paths],
+    cwd,
+  );
+  if (!changed) return false;
+  await runGit(
+    [...identity, "commit", "--quiet", "-m", message, "--", ...paths],
+    cwd,
+  );
+  return true;
+};
+
+/**
+ * Push HEAD to a remote branch, rebasing onto it and retrying when the push
+ * is rejected because another job pushed first.
+ * @param {string} target Remote branch.
+ * @param {string[]} identity `-c` options with the author (rebasing needs
+ *   one as well).
+ * @param {string} cwd Working tree.
+ * @param {number} retries Push attempts after rejected pushes.
+ * @param {(ms: number) => Promise<void>} sleep Delay between attempts.
+ */
+const pushWithRetry = async (target, identity, cwd, retries, sleep) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await runGit(["push", "origin", `HEAD:refs/heads/${target}`], cwd);
+      return;
+    } catch (err) {
+      if (!isRejectedPush(err) || attempt > retries) throw err;
+      await sleep(1000 * 2 ** (attempt - 1));
+      await runGit(
+        [
+          ...identity,
+          "pull",
+          "--rebase",
+          "--autostash",
+          "--quiet",
+          "origin",
+          target,
+        ],
+        cwd,
+      );
+    }
+  }
+};
+
+/**
+ * Commit the given files (including deletions) if they changed and push
+ * them. Other changes in the working tree are left out of the commit.
+ *
+ * Without `branch`, or when it names the checked out branch, the commit is
+ * made on the current branch. Any other branch (or a detached HEAD) is
+ * checked out in a temporary worktree, so only the card files land on it
+ * and the current branch is left alone; a branch missing on the remote is
+ * started from HEAD.
+ * @param {CommitOptions} options Commit options.
+ * @returns {Promise<CommitResult>}
+ */
+const commitAndPush = async ({
+  files,
+  message = DEFAULT_COMMIT_MESSAGE,
+  branch,
+  author = DEFAULT_AUTHOR,
+  cwd = process.cwd(),
+  retries = 3,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+}) => {
+  // Runners have no git identity configured.
+  const identity = [
+    "-c",
+    `user.name=${author.name}`,
+    "-c",
+    `user.email=${author.email}`,
+  ];
+  const current = await runGit(["branch", "--show-current"], cwd);
+  const target = branch || current;
+  if (!target) {
+    throw new Error(
+      "Cannot push from a detached HEAD; set the branch input to push to.",
+    );
+  }
+
+  if (target === current) {
+    if (!(await commitFiles(files, message, identity, cwd))) {
+      return { committed: false };
+    }
+    await pushWithRetry(target, identity, cwd, retries, sleep);
+    return {
+      committed: true,
+      sha: await runGit(["rev-parse", "HEAD"], cwd),
+      branch: target,
+    };
+  }
+
+  const toplevel = await runGit(["rev-parse", "--show-toplevel"], cwd);
+  const relative = files.map((file) => {
+    const rel = path.relative(toplevel, path.resolve(cwd, file));
+    if (rel.startsWith("..") || path.isAbsolute(rel)) {
+      throw new Error(`Cannot commit ${file}: it is outside the repository.`);
+    }
+    return rel;
+  });
+
+  let base = "HEAD";
+  try {
+    await runGit(["fetch", "--quiet", "origin", target], cwd);
+    base = "FETCH_HEAD";
+  } catch (err) {
+    if (!/couldn't find remote ref/i.test(String(err))) throw err;
+  }
+
+  const worktree = await mkdtemp(path.join(os.tmpdir(), "prs-cards-"));
+  try {
+    await runGit(
+      ["worktree", "add", "--quiet", "--detach", worktree, base],
+      cwd,
+    );
+  } catch (err) {
+    await rm(worktree, { recursive: true, force: true });
+    throw err;
+  }
+  try {
+    for (const [index, file] of files.entries()) {
+      const source = path.resolve(cwd, file);
+      const copy = path.join(worktree, relative[index]);
+      if (existsSync(source)) {
+        await mkdir(path.dirname(copy), { recursive: true });
+        await copyFile(source, copy);
+      } else {
+        await rm(copy, { force: true });
+      }
+    }
+    if (!(await commitFiles(relative, message, identity, worktree))) {
+      return { committed: false };
+    }
+    await pushWithRetry(target, identity, worktree, retries, sleep);
+    return {
+      committed: true,
+      sha: await runGit(["rev-parse", "HEAD"], worktree),
+      branch: target,
+    };
+  } finally {
+    // A failed cleanup is only reported, so it cannot hide the outcome.
+    try {
+      await runGit(["worktree", "remove", "--force", worktree], cwd);
+    } catch (err) {
+      core.warning(
+        `Could not remove the temporary worktree ${worktree}: ${err instanceof Error ? err.message : err}`,
+      );
+    }
+    await rm(worktree, { recursive: true, force: true });
+  }
+};
+
+export {
+  DEFAULT_AUTHOR,
+  DEFAULT_COMMIT_MESSAGE,
+  runGit,
+  parseAuthor,
+  commitAndPush,
+};
@@ -1,13 +1,40 @@
 import core from "@actions/core";
-import { mkdir, writeFile, readFile } from "node:fs/promises";
+import { Buffer } from "node:buffer";
+import { mkdir, readFile } from "node:fs/promises";
 import path from "node:path";
 import {
   fetchUserPRs,
   renderOrgCard,
   parseExcludeList,
   parseIncludeList,
+  compileRepoRules,
+  parseUsernameList,
   parseCustomImages,
+  parseThemeList,
+  parseStatsList,
+  parseDuration,
+  parseCardLimits,
+  SORT_ORDERS,
+  CARD_LAYOUTS,
+  DEFAULT_IMAGE_CACHE_TTL,
+  buildLeaderboardSections,
+  renderLeaderboardCard,
+  mergeThemes,
 } from "./prs.js";
+import { isLocaleAvailable } from "./translations.js";
+import { loadCustomThemes } from "./custom-themes.js";
+import { OUTPUT_FORMATS, parsePngScale } from "./png.js";
+import { buildCardTable, parseReadmeColumns, updateReadme } from "./readme.js";
+import { commitAndPush, parseAuthor } from "./git.js";
+import {
+  resolveCardOutput,
+  resolveManifestPath,
+  serializeManifest,
+  assertPrunePrefix,
+  pruneStaleCards,
+  writeOutputFile,
+  writeCardFiles,
+} from "./output.js";
 
 /**
  * Normalize option values to strings.
@@ -66,6 +93,7 @@ const parseOptions = (value) => {
 const OPTION_KEYS = [
   "username",
   "theme",
+  "themes",
   "title_color",
   "text_color",
   "icon_color",
@@ -75,8 +103,138 @@ const OPTION_KEYS = [
   "border_radius",
   "exclude",
   "includes",
+  "since",
+  "until",
+  "stats",
+  "group_by",
+  "limit",
+  "own_repos",
+  "custom_title",
+  "manifest",
+  "prune",
+  "cache_dir",
+  "cache_ttl",
+  "api_url",
+  "server_url",
+  "show_members",
+  "min_prs",
+  "min_stars",
+  "max_cards",
+  "sort",
+  "rank",
+  "layout",
+  "card_width",
+  "locale",
+  "strict_themes",
+  "animate",
+  "disable_animations",
+  "format",
+  "png_scale",
+  "readme",
+  "readme_columns",
+  "dry_run",
 ];
 
+/**
+ * Replace characters that are unsafe in file names.
+ * @param {string} name Raw name.
+ * @returns {string} File-name-safe name.
+ */
+const toSafeFileName = (name) => name.replace(/[^a-zA-Z0-9._-]/g, "-");
+
+/**
+ * Path relative to the working directory, with forward slashes.
+ * @param {string} filePath Absolute path.
+ * @returns {string} Relative POSIX path.
+ */
+const toRelativePosix = (filePath) =>
+  path.relative(process.cwd(), filePath).split(path.sep).join("/");
+
+/**
+ * Format rows as a plain-text table with padded columns.
+ * @param {string[][]} rows Header row first.
+ * @returns {string} Table lines.
+ */
+const formatTable = (rows) => {
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length)),
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd(),
+    )
+    .join("\n");
+};
+
+/**
+ * Print what a dry run would have done: every card with its file and the
+ * status of the other files (PNGs, manifest, README, pruned cards).
+ * @param {Array<Record<string, unknown>>} cards Manifest entries of the
+ *   cards (empty for the leaderboard).
+ * @param {import("./output.js").FileChange[]} plan Recorded file changes.
+ */
+const reportDryRun = (cards, plan) => {
+  const statusOf = new Map(
+    plan.map((change) => [toRelativePosix(change.file), change.status]),
+  );
+  if (cards.length) {
+    const rows = cards.map((entry) => [
+      String(entry.file),
+      String(entry.org),
+      String(entry.repo || ""),
+      String(entry.stars),
+      String(entry.mergedPRs),
+      statusOf.get(String(entry.file)) || "",
+    ]);
+    core.info(
+      formatTable([["File", "Org", "Repo", "Stars", "PRs", "Status"], ...rows]),
+    );
+  }
+  const cardFiles = new Set(cards.map((entry) => entry.file));
+  const others = plan
+    .map((change) => [toRelativePosix(change.file), change.status])
+    .filter(([file]) => !cardFiles.has(file));
+  if (others.length) {
+    core.info(formatTable([["File", "Status"], ...others]));
+  }
+  const changed = plan.filter((change) => change.status !== "unchanged");
+  core.info(
+    `Dry run: ${changed.length} of ${plan.length} file(s) would change; nothing was written.`,
+  );
+};
+
+/**
+ * Set the `changed` and `changed_files` outputs: whether any file was
+ * written or deleted, and their paths separated by spaces.
+ * @param {import("./output.js").FileChange[]} changes Recorded file changes.
+ */
+const setChangeOutputs = (changes) => {
+  const changed = changes
+    .filter((change) => change.status !== "unchanged")
+    .map((change) => toRelativePosix(change.file));
+  core.setOutput("changed", changed.length > 0 ? "true" : "false");
+  core.setOutput("changed_files", changed.join(" "));
+};
+
+/**
+ * Commit and push the files written or deleted in this run.
+ * @param {string[]} files Absolute paths.
+ * @param {Omit<import("./git.js").CommitOptions, "files">} options Commit
+ *   options from the `commit_message`, `branch` and `author` inputs.
+ */
+const publishFiles = async (files, options) => {
+  const result = await commitAndPush({ ...options, files });
+  if (result.committed) {
+    core.info(`Pushed ${result.sha} to ${result.branch}.`);
+    core.setOutput("commit_sha", result.sha);
+  } else {
+    core.info("No card changes to commit.");
+  }
+};
+
 /**
  * Validate required options for each card type.
  * @param {string} card Card type.
@@ -91,11 +249,17 @@ const validateCardOptions = (card, query, repoOwner) => {
   }
   switch (card) {
     case "prs":
-      if (!query.username) {
+    case "leaderboard":
+      if (!parseUsernameList(query.username).length) {
         throw new Error(`username is required for the ${card} card.`);
       }
       break;
     default:
+      if (parseUsernameList(query.username).length > 1) {
+        throw new Error(
+          `A list of usernames is only supported by the prs and leaderboard cards, not ${card}.`,
+        );
+      }
       break;
   }
 };
@@ -115,25 +279,107 @@ const run = async () => {
 
   validateCardOptions(card, query, process.env.GITHUB_REPOSITORY_OWNER);
 
-  // ---- PRs card: custom flow that produces one SVG per organisation ----
-  if (card === "prs") {
+  // ---- PRs and leaderboard cards: both render from a single PR search ----
+  if (card === "prs" || card === "leaderboard") {
     const token = process.env.PAT_1;
     if (!token) {
-      throw new Error("A GitHub token is required for the PRs card.");
+      throw new Error(`A GitHub token is required for the ${card} card.`);
+    }
+
+    // On GitHub Enterprise Server runners these point at the server itself.
+    const apiUrl = query.api_url || process.env.GITHUB_API_URL;
+    const serverUrl = query.server_url || process.env.GITHUB_SERVER_URL;
+
+    if (query.sort && !SORT_ORDERS.includes(query.sort)) {
+      core.warning(`Unknown sort "${query.sort}"; sorting by merged PRs.`);
+    }
+    if (query.locale && !isLocaleAvailable(query.locale)) {
+      core.warning(
+        `Locale "${query.locale}" has no PR card translations; card text stays in English.`,
+      );
+    }
+    if (query.layout && !CARD_LAYOUTS[query.layout]) {
+      core.warning(
+        `Unknown layout "${query.layout}"; using the default layout.`,
+      );
+    }
+    let format = query.format || "svg";
+    if (!OUTPUT_FORMATS.includes(format)) {
+      core.warning(`Unknown format "${format}"; writing SVG cards.`);
+      format = "svg";
+    }
+    const pngScale = parsePngScale(query.png_scale);
+    // Compiled once here, so an invalid /regex/ rule fails before any request.
+    const excludeRules = compileRepoRules(parseExcludeList(query.exclude));
+    const includeRules = compileRepoRules(parseIncludeList(query.includes));
+    // Every file is compared with the existing one and only written when it
+    // changed; a dry run renders everything but writes nothing.
+    /** @type {import("./output.js").OutputState} */
+    const output = { dryRun: query.dry_run === "true", changes: [] };
+    // With `commit`, the files written (and pruned) below are committed and
+    // pushed at the end of the run.
+    const commitOptions =
+      core.getInput("commit") === "true"
+        ? {
+            message: core.getInput("commit_message") || undefined,
+            branch: core.getInput("branch") || undefined,
+            author: parseAuthor(core.getInput("author")),
+          }
+        : null;
+    const readmeColumns = parseReadmeColumns(query.readme_columns);
+
+    // Custom themes are merged over the upstream ones; unknown theme names
+    // fall back to `default` unless `strict_themes` turns them into errors.
+    const themeMap = mergeThemes(
+      await loadCustomThemes(core.getInput("custom_themes")),
+    );
+    const requestedThemes = [
+      query.theme,
+      ...parseThemeList(query.themes).map((variant) => variant.theme),
+    ].filter(Boolean);
+    for (const themeName of new Set(requestedThemes)) {
+      if (themeMap[themeName]) continue;
+      const message = `Unknown theme "${themeName}"`;
+      if (query.strict_themes === "true") {
+        throw new Error(`${message}.`);
+      }
+      core.warning(`${message}; using the default theme.`);
     }
 
-    const excludeList = parseExcludeList(query.exclude);
-    const includeList = parseIncludeList(query.includes);
     const customImages = parseCustomImages(
       core.getInput("custom_images") || "",
     );
+    const usernames = parseUsernameList(query.username);
     const result = await fetchUserPRs(
-      query.username,
+      usernames.length > 1 ? usernames : usernames[0],
       token,
-      excludeList,
-      includeList,
+      excludeRules,
+      includeRules,
+      {
+        since: query.since,
+        until: query.until,
+        stats: parseStatsList(query.stats),
+        sort: query.sort,
+        groupBy: query.group_by === "repo" ? "repo" : "org",
+        apiUrl,
+        serverUrl,
+        limits: {
+          external: parseCardLimits(query, "external"),
+          own: parseCardLimits(query, "own"),
+        },
+      },
     );
 
+    const { remaining, limit, reset } = result.rateLimit;
+    if (remaining !== undefined) {
+      const resetAt = reset
+        ? ` (resets ${new Date(reset * 1000).toISOString()})`
+        : "";
+      core.debug(
+        `GitHub API rate limit: ${remaining}${limit ? `/${limit}` : ""} points remaining${resetAt}.`,
+      );
+    }
+
     const allOrgs = [...result.external, ...result.own];
 
     if (allOrgs.length === 0) {
@@ -142,6 +388,68 @@ const run = async () => {
       );
     }
 
+    // One render pass per theme variant; without `themes` a single unprefixed
+    // variant uses the regular `theme` option.
+    const themeVariants = parseThemeList(query.themes);
+    const variants = themeVariants.length
+      ? themeVariants.map((v) => ({ ...v, label: toSafeFileName(v.label) }))
+      : [{ label: "", theme: query.theme }];
+    const context = {
+      imageCache: new Map(),
+      cacheDir: query.cache_dir
+        ? path.resolve(process.cwd(), query.cache_dir)
+        : undefined,
+      cacheTtl: parseDuration(query.cache_ttl, DEFAULT_IMAGE_CACHE_TTL),
+      readOnlyCache: output.dryRun,
+      serverUrl,
+      themes: themeMap,
+    };
+
+    // ---- Leaderboard card: one SVG ranking the top entries ----
+    if (card === "leaderboard") {
+      const outputPath =
+        outputPathInput || path.join("profile", "prs-leaderboard.svg");
+      const resolvedPath = path.resolve(process.cwd(), outputPath);
+      if (!output.dryRun) {
+        await mkdir(path.dirname(resolvedPath), { recursive: true });
+      }
+
+      const sections = buildLeaderboardSections(result, query);
+      /** @type {string[]} */
+      const writtenFiles = [];
+      for (const variant of variants) {
+        const filePath = variant.label
+          ? path.join(
+              path.dirname(resolvedPath),
+              `${variant.label}-${path.basename(resolvedPath)}`,
+            )
+          : resolvedPath;
+        const svg = await renderLeaderboardCard(
+          sections,
+          { ...query, theme: variant.theme },
+          customImages,
+          context,
+        );
+        writtenFiles.push(
+          ...(await writeCardFiles(filePath, svg, format, pngScale, output)),
+        );
+      }
+
+      if (query.readme) {
+        core.warning("readme is only supported by the prs card.");
+      }
+      setChangeOutputs(output.changes);
+      if (output.dryRun) {
+        reportDryRun([], output.changes);
+      } else if (commitOptions) {
+        await publishFiles(writtenFiles, commitOptions);
+      }
+      core.setOutput("path", outputPath);
+      return;
+    }
+
+    // ---- PRs card: custom flow that produces one SVG per organisation ----
+
     // Load language colours for fallback dots.
     let languageColors = {};
     try {
@@ -153,45 +461,187 @@ const run = async () => {
     }
 
     const basePrefix = outputPathInput || path.join("profile", "prs-");
-    const resolvedPrefix = path.resolve(process.cwd(), basePrefix);
-    const baseDir = path.dirname(resolvedPrefix);
-    const prefix = path.basename(resolvedPrefix);
-    await mkdir(baseDir, { recursive: true });
+    const { baseDir, prefix } = resolveCardOutput(basePrefix);
+    // Pruning deletes the cards listed in the previous manifest, so it
+    // implies the default manifest unless another path is given.
+    const prune = query.prune === "true";
+    if (prune) assertPrunePrefix(prefix);
+    if (prune && query.manifest === "false") {
+      throw new Error(
+        "prune needs the manifest to know which cards earlier runs wrote; remove manifest: false.",
+      );
+    }
+    const manifestPath = resolveManifestPath(
+      prune && !query.manifest ? "true" : query.manifest,
+      baseDir,
+      prefix,
+    );
+    if (!output.dryRun) await mkdir(baseDir, { recursive: true });
+
+    // With `rank=true` each card shows its position and the file name
+    // starts with it, zero-padded so the files sort in ranking order.
+    const withRank = (entries, kind) =>
+      entries.map((data, index) => {
+        if (query.rank !== "true") return { data, kind, rankPrefix: "" };
+        const width = Math.max(2, String(entries.length).length);
+        return {
+          data: { ...data, rank: index + 1 },
+          kind,
+          rankPrefix: `${String(index + 1).padStart(width, "0")}-`,
+        };
+      });
+    const cards = [
+      ...withRank(result.external, "external"),
+      ...withRank(result.own, "own"),
+    ];
 
+    /** @type {Array<Record<string, string | number>>} */
     const written = [];
+    /** @type {string[]} */
+    const writtenFiles = [];
+    // Cards for the README section, with the image of every theme variant.
+    /** @type {Map<string, import("./readme.js").ReadmeCard>} */
+    const readmeCards = new Map();
+
+    for (const variant of variants) {
+      const variantQuery = { ...query, theme: variant.theme };
+      const variantPrefix = variant.label
+        ? `${prefix}${variant.label}-`
+        : prefix;
+
+      // External organizations (or repositories with `group_by=repo`) get
+      // `<prefix><owner>-<repo>.svg`, the user's own non-fork repos
+      // `<prefix>own-<owner>-<repo>.svg` (`<prefix>[own-]<rank>-...` when
+      // ranked).
+      for (const { data, kind, rankPrefix } of cards) {
+        const rawName = data.repo ? data.repo : data.org;
+        const safeName = toSafeFileName(rawName);
+        const kindPrefix = kind === "own" ? "own-" : "";
+        const filePath = path.join(
+          baseDir,
+          `${variantPrefix}${kindPrefix}${rankPrefix}${safeName}.svg`,
+        );
+        const svg = await renderOrgCard(
+          data,
+          variantQuery,
+          languageColors,
+          customImages,
+          context,
+        );
+        const files = await writeCardFiles(
+          filePath,
+          svg,
+          format,
+          pngScale,
+          output,
+        );
+        writtenFiles.push(...files);
+        const cardKey = `${kindPrefix}${rankPrefix}${safeName}`;
+        if (!readmeCards.has(cardKey)) {
+          readmeCards.set(cardKey, {
+            org: data.org,
+            repo: data.repo,
+            displayName: data.orgDisplayName,
+            kind,
+            images: [],
+          });
+        }
+        readmeCards.get(cardKey).images.push({
+          label: variant.label,
+          file: files[0],
+        });
+        written.push({
+          org: data.org,
+          repo: data.repo,
+          displayName: data.orgDisplayName,
+          stars: data.stars,
+          mergedPRs: data.mergedPRs,
+          openPRs: data.openPRs,
+          closedPRs: data.closedPRs,
+          reviewedPRs: data.reviewedPRs,
+          language: data.language,
+          lastMergedAt: data.lastMergedAt,
+          rank: data.rank,
+          theme: variantQuery.theme || "default",
+          kind,
+          file: toRelativePosix(files[0]),
+          ...(format === "both" ? { png: toRelativePosix(files[1]) } : {}),
+        });
+      }
+    }
 
-    // Generate cards for external organizations
-    for (const orgData of result.external) {
-      const rawName = orgData.repo ? orgData.repo : orgData.org;
-      const safeName = rawName.replace(/[^a-zA-Z0-9._-]/g, "-");
-      const filePath = path.join(baseDir, `${prefix}${safeName}.svg`);
-      const svg = await renderOrgCard(
-        orgData,
-        query,
-        languageColors,
-        customImages,
+    if (prune) {
+      const pruned = await pruneStaleCards({
+        manifestPath,
+        baseDir,
+        prefix,
+        keep: new Set(writtenFiles),
+        dryRun: output.dryRun,
+      });
+      for (const file of pruned) {
+        output.changes.push({ file, status: "deleted" });
+        if (!output.dryRun) core.info(`Pruned stale card ${file}`);
+      }
+      core.info(
+        `${output.dryRun ? "Would prune" : "Pruned"} ${pruned.length} stale card(s).`,
       );
-      await writeFile(filePath, svg, "utf8");
-      core.info(`Wrote ${filePath}`);
-      written.push(path.relative(process.cwd(), filePath));
-    }
-
-    // Generate cards for user's own non-fork repos
-    for (const ownData of result.own) {
-      const rawName = ownData.repo ? ownData.repo : ownData.org;
-      const safeName = rawName.replace(/[^a-zA-Z0-9._-]/g, "-");
-      const filePath = path.join(baseDir, `${prefix}own-${safeName}.svg`);
-      const svg = await renderOrgCard(
-        ownData,
-        query,
-        languageColors,
-        customImages,
+      writtenFiles.push(...pruned);
+    }
+
+    if (manifestPath) {
+      if (!output.dryRun) {
+        await mkdir(path.dirname(manifestPath), { recursive: true });
+      }
+      const status = await writeOutputFile(
+        manifestPath,
+        serializeManifest(query.username, written),
+        output,
       );
-      await writeFile(filePath, svg, "utf8");
-      core.info(`Wrote ${filePath}`);
-      written.push(path.relative(process.cwd(), filePath));
+      writtenFiles.push(manifestPath);
+      if (!output.dryRun) {
+        core.info(
+          status === "unchanged"
+            ? `Unchanged manifest ${manifestPath}`
+            : `Wrote manifest ${manifestPath}`,
+        );
+        core.setOutput("manifest", toRelativePosix(manifestPath));
+      }
     }
 
+    if (query.readme) {
+      const readmePath = path.resolve(process.cwd(), query.readme);
+      const table = buildCardTable([...readmeCards.values()], {
+        columns: readmeColumns,
+        readmeDir: path.dirname(readmePath),
+        serverUrl,
+        usernames,
+        groupBy: query.group_by === "repo" ? "repo" : "org",
+        since: query.since,
+        until: query.until,
+      });
+      const changed = await updateReadme(readmePath, table, {
+        dryRun: output.dryRun,
+      });
+      writtenFiles.push(readmePath);
+      output.changes.push({
+        file: readmePath,
+        status: changed ? "changed" : "unchanged",
+      });
+      if (!output.dryRun) {
+        core.info(
+          changed
+            ? `Updated the PR cards in ${readmePath}`
+            : `PR cards in ${readmePath} are up to date.`,
+        );
+      }
+    }
+
+    setChangeOutputs(output.changes);
+    if (output.dryRun) {
+      reportDryRun(written, output.changes);
+    } else if (commitOptions) {
+      await publishFiles(writtenFiles, commitOptions);
+    }
     core.setOutput("path", basePrefix);
     return;
   }
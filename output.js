@@ -0,0 +1,244 @@
+// @ts-check
+
+import core from "@actions/core";
+import { readFile, stat, unlink, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import { pngFingerprint, readPngFingerprint, svgToPng } from "./png.js";
+import { cardFingerprint } from "./prs.js";
+
+/**
+ * Split the `path` input of the `prs` card into the output directory and the
+ * card filename prefix. A path ending in a separator names a directory and
+ * has no prefix (`generated/prs/` writes `generated/prs/<org>.svg`).
+ * @param {string} value `path` input.
+ * @param {string} [cwd] Directory relative paths are resolved against.
+ * @returns {{ baseDir: string; prefix: string }} Absolute output directory
+ *   and filename prefix.
+ */
+const resolveCardOutput = (value, cwd = process.cwd()) => {
+  const resolved = path.resolve(cwd, value);
+  if (/[\\/]$/.test(value)) return { baseDir: resolved, prefix: "" };
+  return { baseDir: path.dirname(resolved), prefix: path.basename(resolved) };
+};
+
+/**
+ * Resolve where the manifest of generated cards should be written.
+ * @param {string | undefined} value `manifest` option: "true" for the default
+ *   location next to the cards, a file path, or empty/"false" to disable.
+ * @param {string} baseDir Directory the cards are written to.
+ * @param {string} prefix Card filename prefix.
+ * @param {string} [cwd] Directory relative paths are resolved against.
+ * @returns {string | null} Absolute manifest path, or null if disabled.
+ */
+const resolveManifestPath = (value, baseDir, prefix, cwd = process.cwd()) => {
+  if (!value || value === "false") return null;
+  if (value === "true") return path.join(baseDir, `${prefix}manifest.json`);
+  return path.resolve(cwd, value);
+};
+
+/**
+ * Serialize the manifest of generated cards.
+ * @param {string} username `username` option.
+ * @param {Record<string, unknown>[]} cards One entry per written card.
+ * @returns {string} Pretty-printed JSON with a trailing newline.
+ */
+const serializeManifest = (username, cards) =>
+  `${JSON.stringify({ username, cards }, null, 2)}\n`;
+
+/**
+ * @typedef {Object} PruneOptions
+ * @property {string} manifestPath - Manifest written by the previous run;
+ *   only the card files it lists are pruned.
+ * @property {string} baseDir - Directory the cards are written to.
+ * @property {string} prefix - Card filename prefix (must not be empty).
+ * @property {Set<string>} keep - Absolute paths of the cards written in this
+ *   run.
+ * @property {boolean} [dryRun] - Only report the stale cards.
+ * @property {string} [cwd] - Directory the manifest paths are relative to.
+ */
+
+/**
+ * Read the card files listed in a manifest.
+ * @param {string} manifestPath Manifest path.
+ * @param {string} [cwd] Directory the manifest paths are relative to.
+ * @returns {Promise<string[]>} Absolute paths; empty if there is no manifest
+ *   or it cannot be read.
+ */
+const readManifestFiles = async (manifestPath, cwd = process.cwd()) => {
+  let manifest;
+  try {
+    manifest = JSON.parse(await readFile(manifestPath, "utf8"));
+  } catch (err) {
+    if (/** @type {{ code?: string }} */ (err).code !== "ENOENT") {
+      core.warning(
+        `Could not read manifest ${manifestPath}; not pruning: ${err instanceof Error ? err.message : err}`,
+      );
+    }
+    return [];
+  }
+  const cards = Array.isArray(manifest?.cards) ? manifest.cards : [];
+  return cards
+    .flatMap((card) => [card?.file, card?.png])
+    .filter((file) => typeof file === "string" && file)
+    .map((file) => path.resolve(cwd, file));
+};
+
+/**
+ * Check that stale cards can be pruned for a filename prefix. Without a
+ * prefix every image in the output directory would look like a card.
+ * @param {string} prefix Card filename prefix.
+ * @throws {Error} If the prefix is empty.
+ */
+const assertPrunePrefix = (prefix) => {
+  if (!prefix) {
+    throw new Error(
+      "Refusing to prune: path has no filename prefix; use e.g. path: assets/prs- instead of a directory.",
+    );
+  }
+};
+
+/**
+ * Delete the cards a previous run of this step wrote that the current run
+ * did not, e.g. of organisations that dropped out of the results. Only files
+ * listed in the previous manifest are considered, and only `.svg` and `.png`
+ * files directly inside `baseDir` whose name starts with `prefix`; cards of
+ * other steps in the same directory are never touched.
+ * @param {PruneOptions} options Prune options.
+ * @returns {Promise<string[]>} Absolute paths of the deleted (or in a dry
+ *   run, stale) files.
+ * @throws {Error} If the prefix is empty.
+ */
+const pruneStaleCards = async ({
+  manifestPath,
+  baseDir,
+  prefix,
+  keep,
+  dryRun = false,
+  cwd = process.cwd(),
+}) => {
+  assertPrunePrefix(prefix);
+  const pruned = [];
+  for (const file of new Set(await readManifestFiles(manifestPath, cwd))) {
+    const name = path.basename(file);
+    if (
+      keep.has(file) ||
+      path.dirname(file) !== baseDir ||
+      !name.startsWith(prefix) ||
+      !/\.(svg|png)$/.test(name)
+    ) {
+      continue;
+    }
+    try {
+      if (!(await stat(file)).isFile()) continue;
+    } catch {
+      continue; // already gone
+    }
+    if (!dryRun) await unlink(file);
+    pruned.push(file);
+  }
+  return pruned;
+};
+
+/**
+ * @typedef {Object} FileChange
+ * @property {string} file - Absolute path.
+ * @property {"new" | "changed" | "unchanged" | "deleted"} status - What the
+ *   run did (or in a dry run would do) to the file.
+ */
+
+/**
+ * @typedef {Object} OutputState
+ * @property {boolean} dryRun - Only record changes, write nothing.
+ * @property {FileChange[]} changes - Every file the run wrote, skipped or
+ *   deleted.
+ */
+
+/**
+ * Write a file unless its content is unchanged, and record what happened.
+ * @param {string} filePath Absolute path.
+ * @param {string | Buffer} content File contents.
+ * @param {OutputState} output Run output state.
+ * @param {(content: Buffer) => string} [normalize] Compare files by this
+ *   value instead of byte for byte.
+ * @returns {Promise<FileChange["status"]>} Status of the file.
+ */
+const writeOutputFile = async (filePath, content, output, normalize) => {
+  const buffer = Buffer.from(content);
+  /** @type {FileChange["status"]} */
+  let status = "new";
+  try {
+    const existing = await readFile(filePath);
+    const same = normalize
+      ? normalize(existing) === normalize(buffer)
+      : existing.equals(buffer);
+    status = same ? "unchanged" : "changed";
+  } catch {
+    // not written yet
+  }
+  output.changes.push({ file: filePath, status });
+  if (!output.dryRun && status !== "unchanged") {
+    await writeFile(filePath, buffer);
+  }
+  return status;
+};
+
+/**
+ * Write a rendered card as SVG, PNG or both. The PNG goes next to the SVG
+ * path, with `.png` in place of `.svg`.
+ *
+ * SVGs are compared by cardFingerprint, so a card that only differs in its
+ * embedded images (e.g. a re-encoded avatar) is left alone. PNGs are compared by the
+ * fingerprint recorded in them (card content, scale and fonts) and only
+ * rasterized again when it differs.
+ * @param {string} svgPath Absolute path of the SVG card.
+ * @param {string} svg Rendered SVG.
+ * @param {string} format `svg`, `png` or `both`.
+ * @param {number} pngScale Zoom factor for the PNG.
+ * @param {OutputState} output Run output state.
+ * @returns {Promise<string[]>} Absolute paths of the card files.
+ */
+const writeCardFiles = async (svgPath, svg, format, pngScale, output) => {
+  const files = [];
+  if (format !== "png") {
+    await writeOutputFile(svgPath, svg, output, (content) =>
+      cardFingerprint(content.toString("utf8")),
+    );
+    files.push(svgPath);
+  }
+  if (format !== "svg") {
+    const pngPath = `${svgPath.replace(/\.svg$/, "")}.png`;
+    let existing = "";
+    try {
+      existing = readPngFingerprint(await readFile(pngPath));
+    } catch {
+      // not written yet
+    }
+    if (existing && existing === (await pngFingerprint(svg, pngScale))) {
+      output.changes.push({ file: pngPath, status: "unchanged" });
+    } else {
+      await writeOutputFile(pngPath, await svgToPng(svg, pngScale), output);
+    }
+    files.push(pngPath);
+  }
+  if (!output.dryRun) {
+    for (const file of files) {
+      const { status } = output.changes.findLast(
+        (change) => change.file === file,
+      );
+      core.info(status === "unchanged" ? `Unchanged ${file}` : `Wrote ${file}`);
+    }
+  }
+  return files;
+};
+
+export {
+  writeOutputFile,
+  writeCardFiles,
+  resolveCardOutput,
+  resolveManifestPath,
+  serializeManifest,
+  readManifestFiles,
+  assertPrunePrefix,
+  pruneStaleCards,
+};
@@ -0,0 +1,246 @@
+// @ts-check
+
+import core from "@actions/core";
+import { Buffer } from "node:buffer";
+import { createHash } from "node:crypto";
+import { readdir, readFile } from "node:fs/promises";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { crc32 } from "node:zlib";
+import { cardFingerprint } from "./prs.js";
+
+/** Values of the `format` option. */
+const OUTPUT_FORMATS = ["svg", "png", "both"];
+
+/** Default `png_scale`: twice the SVG size, sharp on high-DPI screens. */
+const DEFAULT_PNG_SCALE = 2;
+
+/**
+ * Keyword of the PNG text chunk that records what a card was rendered from
+ * (see pngFingerprint).
+ */
+const PNG_FINGERPRINT_KEYWORD = "prs-card-fingerprint";
+
+/** Directories searched for fonts, as on GitHub-hosted runners. */
+const FONT_DIRS = [
+  "/usr/share/fonts",
+  "/usr/local/share/fonts",
+  "/Library/Fonts",
+  "/System/Library/Fonts",
+  "C:\\Windows\\Fonts",
+];
+
+/**
+ * Font files loaded for rasterizing, in order of preference: the families
+ * named in the card CSS first, then common sans-serif fallbacks. The WASM
+ * renderer cannot read fonts itself, so only these files are passed in.
+ * @type {{ family: string; file: RegExp }[]}
+ */
+const SANS_FONTS = [
+  { family: "Segoe UI", file: /^segoeui(b|sb)?\.ttf$/i },
+  { family: "Ubuntu", file: /^Ubuntu-(R|M|B)\.ttf$/i },
+  { family: "DejaVu Sans", file: /^DejaVuSans(-Bold)?\.ttf$/i },
+  { family: "Liberation Sans", file: /^LiberationSans-(Regular|Bold)\.ttf$/i },
+  { family: "Arial", file: /^Arial( Bold)?\.ttf$/i },
+  { family: "Noto Sans", file: /^NotoSans-(Regular|SemiBold|Bold)\.ttf$/i },
+  { family: "Noto Sans CJK SC", file: /^NotoSansCJK-(Regular|Bold)\.ttc$/i },
+];
+
+/**
+ * Parse the `png_scale` option.
+ * @param {string | undefined} value Option value.
+ * @returns {number} Scale factor between 0.5 and 4.
+ * @throws {Error} If the value is not a number in that range.
+ */
+const parsePngScale = (value) => {
+  if (value === undefined || value === "") return DEFAULT_PNG_SCALE;
+  const scale = Number(value);
+  if (!Number.isFinite(scale) || scale < 0.5 || scale > 4) {
+    throw new Error(
+      `Invalid png_scale "${value}": expected a number between 0.5 and 4.`,
+    );
+  }
+  return scale;
+};
+
+/**
+ * Find the preferred sans-serif font files in the system font directories.
+ * @param {string[]} [dirs] Directories to search (recursively).
+ * @returns {Promise<{ family: string; files: string[] }[]>} Matching files
+ *   per family, in order of preference; families without files are left out.
+ */
+const findSystemFonts = async (dirs = FONT_DIRS) => {
+  /** @type {string[]} */
+  const files = [];
+  for (const dir of dirs) {
+    try {
+      const entries = await readdir(dir, { recursive: true });
+      files.push(...entries.map((entry) => path.join(dir, entry)));
+    } catch {
+      // directory does not exist on this platform
+    }
+  }
+  return SANS_FONTS.map(({ family, file }) => ({
+    family,
+    files: files.filter((filePath) => file.test(path.basename(filePath))),
+  })).filter((font) => font.files.length);
+};
+
+/**
+ * Expand the CSS `font` shorthand used in the card styles
+ * (`font: 600 16px 'Segoe UI', ...`) into longhand properties, which are
+ * the only ones resvg understands.
+ * @param {string} svg SVG markup.
+ * @returns {string} SVG markup with longhand font properties.
+ */
+const expandFontShorthand = (svg) =>
+  svg.replace(
+    /\bfont:\s*(normal|bold|\d{3})\s+([\d.]+px)\s+([^;}]+);/g,
+    "font-weight: $1; font-size: $2; font-family: $3;",
+  );
+
+/** @type {Promise<typeof import("@resvg/resvg-wasm")> | undefined} */
+let resvgModule;
+
+/** @type {Promise<{ fontBuffers: Uint8Array[]; family: string; files: string[] }> | undefined} */
+let fontsPromise;
+
+/**
+ * Load and initialize the resvg WASM module once per run.
+ * @returns {Promise<typeof import("@resvg/resvg-wasm")>}
+ */
+const loadResvg = () => {
+  resvgModule ??= (async () => {
+    const resvg = await import("@resvg/resvg-wasm");
+    const require = createRequire(import.meta.url);
+    await resvg.initWasm(
+      await readFile(require.resolve("@resvg/resvg-wasm/index_bg.wasm")),
+    );
+    return resvg;
+  })();
+  return resvgModule;
+};
+
+/**
+ * Read the system fonts once per run.
+ * @returns {Promise<{ fontBuffers: Uint8Array[]; family: string; files: string[] }>}
+ */
+const loadFonts = () => {
+  fontsPromise ??= (async () => {
+    const fonts = await findSystemFonts();
+    if (!fonts.length) {
+      core.warning("No system fonts found; PNG cards will have no text.");
+    }
+    const files = fonts.flatMap((font) => font.files);
+    const fontBuffers = await Promise.all(files.map((file) => readFile(file)));
+    return { fontBuffers, family: fonts[0]?.family || "sans-serif", files };
+  })();
+  return fontsPromise;
+};
+
+/**
+ * Fingerprint of the PNG a card would be rasterized to: the card content
+ * (see cardFingerprint), the scale and the fonts found on this machine.
+ * @param {string} svg SVG markup.
+ * @param {number} [scale] Zoom factor relative to the SVG size.
+ * @returns {Promise<string>} Hex SHA-256 digest.
+ */
+const pngFingerprint = async (svg, scale = DEFAULT_PNG_SCALE) => {
+  const { files } = await loadFonts();
+  return createHash("sha256")
+    .update(
+      JSON.stringify([
+        cardFingerprint(svg),
+        scale,
+        files.map((file) => path.basename(file)),
+      ]),
+    )
+    .digest("hex");
+};
+
+/**
+ * Insert a `tEXt` chunk after the IHDR chunk of a PNG.
+ * @param {Buffer} png PNG file contents.
+ * @param {string} keyword Latin-1 keyword.
+ * @param {string} text Latin-1 text.
+ * @returns {Buffer} PNG with the text chunk.
+ */
+const addPngText = (png, keyword, text) => {
+  const body = Buffer.from(`tEXt${keyword}\0${text}`, "latin1");
+  const chunk = Buffer.alloc(body.length + 8);
+  chunk.writeUInt32BE(body.length - 4, 0);
+  body.copy(chunk, 4);
+  chunk.writeUInt32BE(crc32(body), body.length + 4);
+  // Signature (8 bytes) and IHDR (25 bytes) come first.
+  return Buffer.concat([png.subarray(0, 33), chunk, png.subarray(33)]);
+};
+
+/**
+ * Read the fingerprint recorded in a PNG written by svgToPng.
+ * @param {Buffer} png PNG file contents.
+ * @returns {string} The fingerprint, or "" if there is none.
+ */
+const readPngFingerprint = (png) => {
+  let offset = 8;
+  while (offset + 12 <= png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString("latin1", offset + 4, offset + 8);
+    if (type === "IEND") break;
+    if (type === "tEXt") {
+      const data = png.toString("latin1", offset + 8, offset + 8 + length);
+      const separator = data.indexOf("\0");
+      if (data.slice(0, separator) === PNG_FINGERPRINT_KEYWORD) {
+        return data.slice(separator + 1);
+      }
+    }
+    offset += length + 12;
+  }
+  return "";
+};
+
+/**
+ * Rasterize a card SVG to PNG with resvg (WebAssembly, no browser).
+ * Embedded `data:` images such as avatars and language icons are kept;
+ * CSS animations are ignored, so animated cards show their final state.
+ * The PNG records its pngFingerprint in a text chunk.
+ * @param {string} svg SVG markup.
+ * @param {number} [scale] Zoom factor relative to the SVG size.
+ * @returns {Promise<Buffer>} PNG file contents.
+ */
+const svgToPng = async (svg, scale = DEFAULT_PNG_SCALE) => {
+  const [{ Resvg }, { fontBuffers, family }] = await Promise.all([
+    loadResvg(),
+    loadFonts(),
+  ]);
+  const renderer = new Resvg(expandFontShorthand(svg), {
+    fitTo: { mode: "zoom", value: scale },
+    font: {
+      fontBuffers,
+      defaultFontFamily: family,
+      sansSerifFamily: family,
+    },
+  });
+  try {
+    const image = renderer.render();
+    const png = Buffer.from(image.asPng());
+    image.free();
+    return addPngText(
+      png,
+      PNG_FINGERPRINT_KEYWORD,
+      await pngFingerprint(svg, scale),
+    );
+  } finally {
+    renderer.free();
+  }
+};
+
+export {
+  OUTPUT_FORMATS,
+  DEFAULT_PNG_SCALE,
+  parsePngScale,
+  expandFontShorthand,
+  findSystemFonts,
+  pngFingerprint,
+  readPngFingerprint,
+  svgToPng,
+};
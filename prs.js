@@ -1,7 +1,11 @@
 // @ts-check
 
 import { Buffer } from "node:buffer";
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
 import { themes } from "github-readme-stats/themes/index.js";
+import { isRtlLocale, normalizeLocale, translate } from "./translations.js";
 
 /**
  * @typedef {Object} OrgPRData
@@ -12,6 +16,36 @@ import { themes } from "github-readme-stats/themes/index.js";
  * @property {number} stars - Star count of the main repo.
  * @property {number} mergedPRs - Count of merged PRs by the user.
  * @property {string} language - Primary language of the main repo.
+ * @property {number} [openPRs] - Count of open PRs by the user.
+ * @property {number} [closedPRs] - Count of PRs by the user closed without merging.
+ * @property {number} [reviewedPRs] - Count of other authors' PRs reviewed by the user.
+ * @property {Record<string, number>} [members] - Merged PRs per username,
+ *   highest first; only set when fetching for several users.
+ * @property {string} [lastMergedAt] - Latest merge time (ISO 8601) of the
+ *   counted PRs; empty for included repos without merged PRs.
+ * @property {number} [rank] - 1-based position, rendered as "#N" when set.
+ */
+
+/**
+ * @typedef {Object} ThemeVariant
+ * @property {string} label - Filename prefix for the variant.
+ * @property {string} theme - Theme name used to render the variant.
+ */
+
+/**
+ * @typedef {Object} RenderContext
+ * @property {Map<string, Promise<string>>} [imageCache] - Per-run cache of
+ *   fetched images, so avatars and icons are downloaded once when the same
+ *   card is rendered in several themes.
+ * @property {string} [cacheDir] - Directory for the persistent image cache.
+ * @property {boolean} [readOnlyCache] - Use the persistent cache without
+ *   writing to it (dry runs).
+ * @property {number} [cacheTtl] - Age in ms after which cached images are
+ *   revalidated (default 7 days).
+ * @property {string} [serverUrl] - GitHub web URL used to resolve custom
+ *   image blob URLs (default https://github.com).
+ * @property {Record<string, Record<string, string>>} [themes] - Theme map
+ *   including custom themes, see mergeThemes (default upstream themes).
  */
 
 /**
@@ -96,8 +130,13 @@ const parseCustomImages = (value) => {
   return result;
 };
 
+/** Matches a `/pattern/flags` repository rule (after an optional `!`). */
+const REGEX_RULE = /^!?\/(.+)\/([a-z]*)$/;
+
 /**
  * Parse a comma-separated exclude list into normalized entries.
+ * Entries are lowercased, except `/regex/` rules whose case matters for
+ * escapes like `\D`; see compileRepoRule for the rule syntax.
  * @param {string | undefined} value
  * @returns {string[]}
  */
@@ -105,7 +144,8 @@ const parseExcludeList = (value) => {
   if (!value) return [];
   return value
     .split(",")
-    .map((entry) => entry.trim().toLowerCase())
+    .map((entry) => entry.trim())
+    .map((entry) => (REGEX_RULE.test(entry) ? entry : entry.toLowerCase()))
     .filter(Boolean);
 };
 
@@ -122,16 +162,368 @@ const parseIncludeList = (value) => {
     .filter(Boolean);
 };
 
+/**
+ * Parse a comma-separated list of usernames, dropping duplicates
+ * (case-insensitive) while keeping the given order.
+ * @param {string | undefined} value
+ * @returns {string[]}
+ */
+const parseUsernameList = (value) => {
+  if (!value) return [];
+  const seen = new Set();
+  return value
+    .split(",")
+    .map((entry) => entry.trim().replace(/^@/, ""))
+    .filter((entry) => {
+      const key = entry.toLowerCase();
+      if (!entry || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Parse a comma-separated theme list into render variants.
+ * Each entry is either a theme name ("github_dark") or a "label:theme" pair
+ * ("dark:github_dark"); the label is used as the filename prefix and defaults
+ * to the theme name.
+ * @param {string | undefined} value
+ * @returns {ThemeVariant[]}
+ */
+const parseThemeList = (value) => {
+  if (!value) return [];
+  /** @type {ThemeVariant[]} */
+  const variants = [];
+  for (const entry of value.split(",")) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+    const colonIndex = trimmed.indexOf(":");
+    const label =
+      colonIndex === -1 ? trimmed : trimmed.slice(0, colonIndex).trim();
+    const theme =
+      colonIndex === -1 ? trimmed : trimmed.slice(colonIndex + 1).trim();
+    if (!label || !theme) continue;
+    if (variants.some((v) => v.label === label)) continue;
+    variants.push({ label, theme });
+  }
+  return variants;
+};
+
+/** Matches a duration date option such as `365d`, `12w`, `6m` or `1y`. */
+const RELATIVE_DATE = /^(\d+)\s*([dwmy])$/i;
+
+/**
+ * Check whether a date option is a duration counted back from now, which
+ * resolves to a different date every day.
+ * @param {string | undefined} value Option value.
+ * @returns {boolean}
+ */
+const isRelativeDateOption = (value) =>
+  RELATIVE_DATE.test((value || "").trim());
+
+/**
+ * Resolve a date option to a GitHub search date.
+ * Accepts absolute dates ("2024-01-01" or an ISO 8601 timestamp) and
+ * durations counted back from `now` ("365d", "12w", "6m", "1y").
+ * @param {string | undefined} value Option value.
+ * @param {Date} [now] Reference time for relative durations.
+ * @returns {string} Date for the search qualifier, or "" if not set.
+ * @throws {Error} If the value is not a valid date or duration.
+ */
+const parseDateOption = (value, now = new Date()) => {
+  const trimmed = (value || "").trim();
+  if (!trimmed) return "";
+
+  const relative = trimmed.match(RELATIVE_DATE);
+  if (relative) {
+    const amount = parseInt(relative[1], 10);
+    const unit = relative[2].toLowerCase();
+    const date = new Date(now.getTime());
+    if (unit === "m") {
+      date.setUTCMonth(date.getUTCMonth() - amount);
+    } else if (unit === "y") {
+      date.setUTCFullYear(date.getUTCFullYear() - amount);
+    } else {
+      date.setUTCDate(date.getUTCDate() - (unit === "w" ? amount * 7 : amount));
+    }
+    return date.toISOString().slice(0, 10);
+  }
+
+  if (
+    /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:\d{2})?)?$/.test(
+      trimmed,
+    ) &&
+    !Number.isNaN(Date.parse(trimmed))
+  ) {
+    return trimmed;
+  }
+
+  throw new Error(
+    `Invalid date "${trimmed}": use YYYY-MM-DD or a duration like 365d, 12w, 6m or 1y.`,
+  );
+};
+
+/**
+ * Build a date search qualifier (e.g. `merged:`) for an optional window.
+ * @param {string} field Search date field ("merged", "created", "closed").
+ * @param {string} since Lower bound (inclusive) or "".
+ * @param {string} until Upper bound (inclusive) or "".
+ * @returns {string} Qualifier, or "" when the window is unbounded.
+ */
+const buildDateQualifier = (field, since, until) => {
+  if (since && until) return `${field}:${since}..${until}`;
+  if (since) return `${field}:>=${since}`;
+  if (until) return `${field}:<=${until}`;
+  return "";
+};
+
+/**
+ * Build the `merged:` search qualifier for an optional date window.
+ * @param {string} since Lower bound (inclusive) or "".
+ * @param {string} until Upper bound (inclusive) or "".
+ * @returns {string} Qualifier, or "" when the window is unbounded.
+ */
+const buildMergedQualifier = (since, until) =>
+  buildDateQualifier("merged", since, until);
+
+/**
+ * PR counters that can be shown on org cards, in display order.
+ * `merged` is always fetched; the others need an extra search each.
+ */
+const STAT_NAMES = ["merged", "open", "closed", "reviewed"];
+
+/**
+ * Parse a comma-separated list of card stats, dropping unknown names.
+ * @param {string | undefined} value
+ * @returns {string[]} Stat names; defaults to ["merged"].
+ */
+const parseStatsList = (value) => {
+  if (!value) return ["merged"];
+  const stats = value
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter((entry) => STAT_NAMES.includes(entry));
+  return stats.length ? [...new Set(stats)] : ["merged"];
+};
+
+/**
+ * Compile one repository rule into a case-insensitive predicate:
+ * - `/pattern/flags`: regular expression tested against `owner/repo`.
+ * - globs (`*`, `?`, `**`): matched against `owner/repo` when the pattern
+ *   contains a `/`, otherwise against the repository name; `*` and `?` do
+ *   not cross `/` and `**` does.
+ * - `owner/repo`: exact repository name.
+ * - anything else: exact repository name without the owner; a glob such as
+ *   `*py*` matches part of a name.
+ *
+ * @param {string} rule Rule without the negation prefix.
+ * @returns {(repoName: string) => boolean} Predicate for full repo names.
+ */
+const compileRepoRule = (rule) => {
+  const regexMatch = REGEX_RULE.exec(rule);
+  if (regexMatch) {
+    const [, pattern, flags] = regexMatch;
+    let regex;
+    try {
+      regex = new RegExp(pattern, flags.includes("i") ? flags : `${flags}i`);
+    } catch (err) {
+      throw new Error(
+        `Invalid repository rule "${rule}": ${err instanceof Error ? err.message : err}`,
+      );
+    }
+    return (repoName) => {
+      regex.lastIndex = 0;
+      return regex.test(repoName);
+    };
+  }
+
+  const lowerRule = rule.toLowerCase();
+  if (/[*?]/.test(lowerRule)) {
+    const source = lowerRule
+      .split(/(\*\*|\*|\?)/)
+      .map((part) => {
+        if (part === "**") return ".*";
+        if (part === "*") return "[^/]*";
+        if (part === "?") return "[^/]";
+        return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      })
+      .join("");
+    const glob = new RegExp(`^${source}$`);
+    const matchFullName = lowerRule.includes("/");
+    return (repoName) => {
+      const name = repoName.toLowerCase();
+      return glob.test(matchFullName ? name : getRepoShortName(name));
+    };
+  }
+
+  if (lowerRule.includes("/")) {
+    return (repoName) => repoName.toLowerCase() === lowerRule;
+  }
+  return (repoName) => getRepoShortName(repoName.toLowerCase()) === lowerRule;
+};
+
+/**
+ * @typedef {Object} RepoRule
+ * @property {string} source Rule as written, without the `!` prefix.
+ * @property {boolean} negated Whether the rule re-allows matching repos.
+ * @property {(repoName: string) => boolean} matches Predicate for full repo
+ *   names, see compileRepoRule.
+ */
+
+/**
+ * Compile a list of repository rules (from parseExcludeList or
+ * parseIncludeList) once, so an invalid rule fails before any search.
+ *
+ * @param {string[]} entries Rules, optionally prefixed with `!`.
+ * @returns {RepoRule[]} Compiled rules in the given order.
+ * @throws {Error} When a `/regex/` rule is invalid.
+ */
+const compileRepoRules = (entries) =>
+  entries
+    .map((entry) => entry.trim())
+    .map((entry) => {
+      const negated = entry.startsWith("!");
+      const source = negated ? entry.slice(1) : entry;
+      return { source, negated };
+    })
+    .filter(({ source }) => source)
+    .map(({ source, negated }) => ({
+      source,
+      negated,
+      matches: compileRepoRule(source),
+    }));
+
+/**
+ * Check whether a repository matches a list of compiled rules. Rules
+ * prefixed with `!` re-allow repositories matched by an earlier rule; the
+ * last matching rule wins, so `acme/*,!acme/rocket` matches every `acme`
+ * repository except `acme/rocket`.
+ *
+ * @param {string} repoName Full repository name (`owner/repo`).
+ * @param {RepoRule[]} rules Rules from compileRepoRules.
+ * @returns {boolean} Whether the last matching rule is not negated.
+ */
+const matchesRepoRules = (repoName, rules) => {
+  let matched = false;
+  for (const rule of rules) {
+    if (rule.matches(repoName)) matched = !rule.negated;
+  }
+  return matched;
+};
+
+/**
+ * Check whether an include rule names a single repository (`owner/repo`)
+ * that can be fetched directly, rather than a pattern.
+ * @param {RepoRule} rule Compiled include rule.
+ * @returns {boolean}
+ */
+const isExactRepoRule = (rule) =>
+  !rule.negated && /^[^/*?]+\/[^/*?]+$/.test(rule.source);
+
+/**
+ * @typedef {Object} CardLimits
+ * @property {number} [minPRs] Drop entries with fewer merged PRs.
+ * @property {number} [minStars] Drop entries whose repository has fewer stars.
+ * @property {number} [maxCards] Keep at most this many entries (0: no limit).
+ */
+
+/**
+ * Read the card limits for external or own results from the options.
+ * `external_min_prs` / `own_min_prs` (and likewise for `min_stars` and
+ * `max_cards`) override the shared `min_prs` for one kind of result.
+ *
+ * @param {Record<string, string>} options User options.
+ * @param {"external" | "own"} kind Which results the limits apply to.
+ * @returns {CardLimits} Parsed limits; unset keys are omitted.
+ */
+const parseCardLimits = (options, kind) => {
+  const read = (name) => {
+    const key = options[`${kind}_${name}`] ? `${kind}_${name}` : name;
+    const value = options[key];
+    if (!value) return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(
+        `Invalid ${key} "${value}": expected a non-negative whole number.`,
+      );
+    }
+    return number;
+  };
+  /** @type {CardLimits} */
+  const limits = {};
+  const minPRs = read("min_prs");
+  const minStars = read("min_stars");
+  const maxCards = read("max_cards");
+  if (minPRs !== undefined) limits.minPRs = minPRs;
+  if (minStars !== undefined) limits.minStars = minStars;
+  if (maxCards) limits.maxCards = maxCards;
+  return limits;
+};
+
+/**
+ * Apply minimum PR/star thresholds and the card cap to ranked entries.
+ * Forced entries (from `includes`) are always kept and do not count
+ * towards `maxCards`.
+ *
+ * @param {OrgPRData[]} entries Entries in display order.
+ * @param {CardLimits} [limits] Limits to apply.
+ * @param {(entry: OrgPRData) => boolean} [isForced] Exempt entries.
+ * @returns {OrgPRData[]} Entries that pass, in the same order.
+ */
+const applyCardLimits = (entries, limits = {}, isForced = () => false) => {
+  const { minPRs = 0, minStars = 0, maxCards = 0 } = limits;
+  let kept = 0;
+  return entries.filter((entry) => {
+    if (isForced(entry)) return true;
+    if (entry.mergedPRs < minPRs || entry.stars < minStars) return false;
+    if (maxCards && kept >= maxCards) return false;
+    kept += 1;
+    return true;
+  });
+};
+
+/** Supported result orders, see sortEntries. */
+const SORT_ORDERS = ["prs", "stars", "recent", "name"];
+
+/**
+ * Sort entries for display, highest first:
+ * - `prs` (default): most merged PRs.
+ * - `stars`: most stars of the (main) repository.
+ * - `recent`: latest merge; entries without merged PRs come last.
+ * - `name`: display name, alphabetically.
+ * `prs` keeps the discovery order for ties; the other orders break ties by
+ * merged PRs, then by name.
+ *
+ * @param {OrgPRData[]} entries Entries to sort (not modified).
+ * @param {string} [order] Sort order; unknown values fall back to `prs`.
+ * @returns {OrgPRData[]} Sorted copy.
+ */
+const sortEntries = (entries, order = "prs") => {
+  const byName = (a, b) =>
+    a.orgDisplayName.localeCompare(b.orgDisplayName, "en", {
+      sensitivity: "base",
+    });
+  const byPRs = (a, b) => b.mergedPRs - a.mergedPRs || byName(a, b);
+  /** @type {Record<string, (a: OrgPRData, b: OrgPRData) => number>} */
+  const compare = {
+    prs: (a, b) => b.mergedPRs - a.mergedPRs,
+    stars: (a, b) => b.stars - a.stars || byPRs(a, b),
+    recent: (a, b) =>
+      (b.lastMergedAt || "").localeCompare(a.lastMergedAt || "") || byPRs(a, b),
+    name: (a, b) => byName(a, b) || b.mergedPRs - a.mergedPRs,
+  };
+  return [...entries].sort(compare[order] || compare.prs);
+};
+
 /**
  * Check if a repository name should be excluded.
  * @param {string} repoName
- * @param {string[]} excludeList
+ * @param {RepoRule[]} excludeRules Rules from compileRepoRules.
  * @returns {boolean}
  */
-const shouldExcludeRepo = (repoName, excludeList) => {
-  if (!excludeList.length) return false;
-  const haystack = repoName.toLowerCase();
-  return excludeList.some((entry) => haystack.includes(entry));
+const shouldExcludeRepo = (repoName, excludeRules) => {
+  if (!excludeRules.length) return false;
+  return matchesRepoRules(repoName, excludeRules);
 };
 
 /**
@@ -162,6 +554,32 @@ const resolveOrgDisplayName = (ownerType, orgDisplayName, repoName) => {
 // GitHub GraphQL fetcher
 // ---------------------------------------------------------------------------
 
+/** Default GitHub REST API URL (github.com). */
+const DEFAULT_API_URL = "https://api.github.com";
+
+/** Default GitHub web URL (github.com). */
+const DEFAULT_SERVER_URL = "https://github.com";
+
+/**
+ * Remove trailing slashes from a URL.
+ * @param {string} url
+ * @returns {string}
+ */
+const trimTrailingSlash = (url) => url.replace(/\/+$/, "");
+
+/**
+ * Derive the GraphQL endpoint from a REST API URL, e.g.
+ * https://api.github.com -> https://api.github.com/graphql and
+ * https://ghe.example.com/api/v3 -> https://ghe.example.com/api/graphql.
+ * @param {string} [apiUrl] REST API URL (default https://api.github.com).
+ * @returns {string} GraphQL endpoint.
+ */
+const resolveGraphQLUrl = (apiUrl = DEFAULT_API_URL) => {
+  const base = trimTrailingSlash(apiUrl || DEFAULT_API_URL);
+  if (/\/api\/v3$/.test(base)) return base.replace(/\/v3$/, "/graphql");
+  return `${base}/graphql`;
+};
+
 const REPO_INFO_QUERY = `
   query($owner: String!, $name: String!) {
     repository(owner: $owner, name: $name) {
@@ -186,6 +604,8 @@ const SEARCH_MERGED_PRS_QUERY = `
       pageInfo { hasNextPage endCursor }
       nodes {
         ... on PullRequest {
+          id
+          mergedAt
           repository {
             nameWithOwner
             isFork
@@ -204,131 +624,592 @@ const SEARCH_MERGED_PRS_QUERY = `
   }
 `;
 
+/**
+ * Maximum number of results the GitHub search API returns for one query,
+ * regardless of pagination.
+ */
+const SEARCH_RESULT_LIMIT = 1000;
+
+/** Earliest merge date searched when an open-ended window must be split. */
+const SEARCH_EPOCH = "2008-01-01T00:00:00Z";
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} token GitHub token.
+ * @property {string} [apiUrl] GitHub REST API URL; the GraphQL endpoint is
+ *   derived from it (default https://api.github.com).
+ * @property {number} [retries] Retries after a failed request (default 3).
+ * @property {number} [retryDelay] Base backoff delay in ms (default 1000),
+ *   doubled after every attempt.
+ * @property {number} [maxRetryDelay] Longest wait in ms before giving up
+ *   (default 5 minutes).
+ * @property {{ remaining?: number; limit?: number; reset?: number }} [rateLimit]
+ *   Updated with the rate limit headers of the latest response.
+ */
+
+/** HTTP statuses that indicate a transient server-side failure. */
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+
+/**
+ * Wait for the given number of milliseconds.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Read a numeric response header.
+ * @param {Response} res
+ * @param {string} name
+ * @returns {number | undefined}
+ */
+const numericHeader = (res, name) => {
+  const value = res.headers?.get?.(name);
+  if (value === null || value === undefined || value === "") return undefined;
+  const parsed = Number(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
+};
+
+/**
+ * Work out how long to wait before retrying a rate-limited or failed request.
+ * `Retry-After` wins, then the primary rate limit reset time, then
+ * exponential backoff.
+ * @param {Response | null} res Failed response (null for network errors).
+ * @param {number} attempt Zero-based attempt number.
+ * @param {number} retryDelay Base backoff delay in ms.
+ * @returns {number} Delay in ms.
+ */
+const retryDelayFor = (res, attempt, retryDelay) => {
+  if (res) {
+    const retryAfter = numericHeader(res, "retry-after");
+    if (retryAfter !== undefined) return retryAfter * 1000;
+    const reset = numericHeader(res, "x-ratelimit-reset");
+    if (numericHeader(res, "x-ratelimit-remaining") === 0 && reset) {
+      return Math.max(0, reset * 1000 - Date.now()) + 1000;
+    }
+  }
+  return retryDelay * 2 ** attempt;
+};
+
+/**
+ * Whether a non-OK response is worth retrying: server errors, 429, and 403s
+ * caused by the primary, secondary or abuse-detection rate limits.
+ * @param {Response} res
+ * @returns {Promise<boolean>}
+ */
+const isRetryableResponse = async (res) => {
+  if (RETRYABLE_STATUSES.includes(res.status) || res.status === 429) {
+    return true;
+  }
+  if (res.status !== 403) return false;
+  if (
+    numericHeader(res, "retry-after") !== undefined ||
+    numericHeader(res, "x-ratelimit-remaining") === 0
+  ) {
+    return true;
+  }
+  const text = typeof res.text === "function" ? await res.text() : "";
+  return /rate limit|abuse/i.test(text);
+};
+
+/**
+ * Send a GraphQL request to GitHub, retrying transient failures and rate
+ * limits with exponential backoff.
+ *
+ * `NOT_FOUND` errors are returned as partial data (the field is null); any
+ * other GraphQL error throws, except `RATE_LIMITED`, which is retried.
+ *
+ * @param {string} query GraphQL query.
+ * @param {Record<string, unknown>} variables Query variables.
+ * @param {RequestOptions} request Token, retry settings and rate limit state.
+ * @returns {Promise<any>} The `data` field of the response.
+ */
+const requestGraphQL = async (query, variables, request) => {
+  const retries = request.retries ?? 3;
+  const retryDelay = request.retryDelay ?? 1000;
+  const maxRetryDelay = request.maxRetryDelay ?? 300_000;
+
+  for (let attempt = 0; ; attempt++) {
+    /** @type {Response | null} */
+    let res = null;
+    let failure = "";
+    try {
+      res = await fetch(resolveGraphQLUrl(request.apiUrl), {
+        method: "POST",
+        headers: {
+          Authorization: `bearer ${request.token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ query, variables }),
+      });
+    } catch (err) {
+      if (attempt >= retries) throw err;
+      failure = `request failed (${err})`;
+    }
+
+    if (res) {
+      const remaining = numericHeader(res, "x-ratelimit-remaining");
+      if (request.rateLimit && remaining !== undefined) {
+        request.rateLimit.remaining = remaining;
+        request.rateLimit.limit = numericHeader(res, "x-ratelimit-limit");
+        request.rateLimit.reset = numericHeader(res, "x-ratelimit-reset");
+      }
+
+      if (res.ok) {
+        const json = await res.json();
+        const errors = json.errors || [];
+        if (!errors.length) return json.data;
+        if (errors.every((e) => e.type === "NOT_FOUND") && json.data) {
+          return json.data;
+        }
+        if (
+          !errors.some((e) => e.type === "RATE_LIMITED") ||
+          attempt >= retries
+        ) {
+          throw new Error(`GitHub GraphQL errors: ${JSON.stringify(errors)}`);
+        }
+        failure = "rate limited";
+      } else if (attempt < retries && (await isRetryableResponse(res))) {
+        failure = `HTTP ${res.status} ${res.statusText}`;
+      } else {
+        throw new Error(`GitHub API error: ${res.status} ${res.statusText}`);
+      }
+    }
+
+    const delay = retryDelayFor(res, attempt, retryDelay);
+    if (delay > maxRetryDelay) {
+      throw new Error(
+        `GitHub API ${failure}; retry would have to wait ${Math.ceil(delay / 1000)}s.`,
+      );
+    }
+    console.warn(
+      `GitHub API ${failure}; retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1}/${retries}).`,
+    );
+    await sleep(delay);
+  }
+};
+
+/**
+ * Fetch one page of PR search results.
+ * @param {string} searchQuery GitHub search query.
+ * @param {string | null} after Pagination cursor.
+ * @param {RequestOptions} request Request settings.
+ * @returns {Promise<{ issueCount: number; nodes: any[]; pageInfo: { hasNextPage: boolean; endCursor: string | null } }>}
+ */
+const fetchSearchPage = async (searchQuery, after, request) => {
+  const data = await requestGraphQL(
+    SEARCH_MERGED_PRS_QUERY,
+    { searchQuery, after },
+    request,
+  );
+  return data.search;
+};
+
+/**
+ * Convert a search date bound to epoch milliseconds. Date-only upper bounds
+ * are inclusive, so they cover the whole day.
+ * @param {string} value Date or ISO 8601 timestamp.
+ * @param {boolean} isUpperBound Whether the value ends a window.
+ * @returns {number}
+ */
+const toSearchTimestamp = (value, isUpperBound) => {
+  const ms = Date.parse(value);
+  if (isUpperBound && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return ms + 86_399_000;
+  }
+  return ms;
+};
+
+/**
+ * Format epoch milliseconds as a search timestamp with second precision.
+ * @param {number} ms
+ * @returns {string}
+ */
+const formatSearchTimestamp = (ms) =>
+  new Date(ms).toISOString().replace(/\.\d{3}Z$/, "+00:00");
+
+/**
+ * Collect every PR node matching a search, following pagination.
+ *
+ * The search API stops after 1000 results. When a query reports more matches
+ * than that, its date window is bisected recursively until every slice fits,
+ * and the combined slices are de-duplicated by PR id.
+ *
+ * @param {string} baseQuery Search query without a date qualifier.
+ * @param {string} dateField Date field the window applies to ("merged", "created", "closed").
+ * @param {string} since Lower date bound or "".
+ * @param {string} until Upper date bound or "".
+ * @param {RequestOptions} request Request settings.
+ * @returns {Promise<any[]>} PR nodes.
+ */
+const collectSearchNodes = async (
+  baseQuery,
+  dateField,
+  since,
+  until,
+  request,
+) => {
+  const seenIds = new Set();
+  const nodes = [];
+
+  const addNodes = (pageNodes) => {
+    for (const node of pageNodes) {
+      if (node.id) {
+        if (seenIds.has(node.id)) continue;
+        seenIds.add(node.id);
+      }
+      nodes.push(node);
+    }
+  };
+
+  const searchWindow = async (qualifier, start, end) => {
+    const searchQuery = [baseQuery, qualifier].filter(Boolean).join(" ");
+    let page = await fetchSearchPage(searchQuery, null, request);
+
+    if (page.issueCount > SEARCH_RESULT_LIMIT) {
+      // Split on whole seconds; a single second is the smallest window.
+      if (end - start >= 1000) {
+        const mid = start + Math.floor((end - start) / 2000) * 1000;
+        await searchWindow(
+          buildDateQualifier(
+            dateField,
+            formatSearchTimestamp(start),
+            formatSearchTimestamp(mid),
+          ),
+          start,
+          mid,
+        );
+        await searchWindow(
+          buildDateQualifier(
+            dateField,
+            formatSearchTimestamp(mid + 1000),
+            formatSearchTimestamp(end),
+          ),
+          mid + 1000,
+          end,
+        );
+        return;
+      }
+      console.warn(
+        `Search "${searchQuery}" matches ${page.issueCount} PRs; only the first ${SEARCH_RESULT_LIMIT} are counted.`,
+      );
+    }
+
+    addNodes(page.nodes);
+    while (page.pageInfo.hasNextPage) {
+      page = await fetchSearchPage(
+        searchQuery,
+        page.pageInfo.endCursor,
+        request,
+      );
+      addNodes(page.nodes);
+    }
+  };
+
+  await searchWindow(
+    buildDateQualifier(dateField, since, until),
+    toSearchTimestamp(since || SEARCH_EPOCH, false),
+    until ? toSearchTimestamp(until, true) : Date.now(),
+  );
+
+  return nodes;
+};
+
+/**
+ * Searches for the optional PR counters, keyed by stat name. The date window
+ * (`since`/`until`) applies to `dateField`.
+ * @type {Record<string, { query: (username: string) => string; dateField: string }>}
+ */
+const EXTRA_STAT_SEARCHES = {
+  open: {
+    query: (username) => `type:pr author:${username} is:open`,
+    dateField: "created",
+  },
+  closed: {
+    query: (username) => `type:pr author:${username} is:closed is:unmerged`,
+    dateField: "closed",
+  },
+  reviewed: {
+    query: (username) => `type:pr reviewed-by:${username} -author:${username}`,
+    dateField: "created",
+  },
+};
+
+/**
+ * Field of OrgPRData holding each stat's count.
+ * @type {Record<string, "mergedPRs" | "openPRs" | "closedPRs" | "reviewedPRs">}
+ */
+const STAT_FIELDS = {
+  merged: "mergedPRs",
+  open: "openPRs",
+  closed: "closedPRs",
+  reviewed: "reviewedPRs",
+};
+
+/**
+ * @typedef {Object} FetchOptions
+ * @property {string} [since] Only count PRs merged on or after this date
+ *   (absolute or relative, see parseDateOption).
+ * @property {string} [until] Only count PRs merged on or before this date.
+ * @property {string[]} [stats] Counters to fetch in addition to merged PRs
+ *   ("open", "closed", "reviewed"), see parseStatsList.
+ * @property {"org" | "repo"} [groupBy] Aggregate external PRs per owner
+ *   (default) or emit one entry per external repository.
+ * @property {string} [apiUrl] GitHub REST API URL, for GitHub Enterprise
+ *   Server (default https://api.github.com).
+ * @property {string} [serverUrl] GitHub web URL, used for avatar fallbacks
+ *   (default https://github.com).
+ * @property {number} [retries] Retries per GraphQL request (default 3).
+ * @property {number} [retryDelay] Base retry backoff in ms (default 1000).
+ * @property {string} [sort] Result order, see sortEntries (default "prs").
+ * @property {{ external?: CardLimits; own?: CardLimits }} [limits]
+ *   Thresholds applied after aggregation, see applyCardLimits.
+ */
+
 /**
  * @typedef {Object} UserPRsResult
- * @property {OrgPRData[]} external - PRs to external organizations/users.
+ * @property {OrgPRData[]} external - PRs to external organizations/users
+ *   (one entry per repository when grouping by repo).
  * @property {OrgPRData[]} own - PRs to user's own non-fork repos.
+ * @property {{ remaining?: number; limit?: number; reset?: number }} rateLimit
+ *   - GitHub API rate limit after the last request.
  */
 
 /**
  * Fetch merged PRs for a user from GitHub GraphQL API.
- * Paginates automatically.
+ * Paginates automatically and splits searches that exceed the 1000 result
+ * limit into merge date windows.
  * Separates PRs to external repos from PRs to user's own non-fork repos.
+ * When several usernames are given, their PRs are merged into team results:
+ * repos owned by any of them count as "own", and every entry records the
+ * merged PRs per member.
  *
- * @param {string} username GitHub username.
+ * @param {string | string[]} username GitHub username, or a list of them.
  * @param {string} token GitHub PAT.
- * @param {string[]} [excludeList] List of repo name substrings to skip.
- * @param {string[]} [includeList] List of "owner/repo" names to always include.
+ * @param {RepoRule[]} [excludeRules] Rules for repos to skip, see
+ *   compileRepoRules.
+ * @param {RepoRule[]} [includeRules] Rules for repos to always include:
+ *   matching repos found by the search bypass the exclude rules and the fork
+ *   filter, and exact "owner/repo" names are fetched even without merged PRs.
+ * @param {FetchOptions} [options] Additional search options.
  * @returns {Promise<UserPRsResult>} Aggregated PR data separated by external and own repos.
  */
 const fetchUserPRs = async (
   username,
   token,
-  excludeList = [],
-  includeList = [],
+  excludeRules = [],
+  includeRules = [],
+  options = {},
 ) => {
-  const headers = {
-    Authorization: `bearer ${token}`,
-    "Content-Type": "application/json",
+  /** @type {RequestOptions} */
+  const request = {
+    token,
+    apiUrl: options.apiUrl,
+    retries: options.retries,
+    retryDelay: options.retryDelay,
+    rateLimit: {},
   };
 
-  const normalizedExclude = excludeList
-    .map((entry) => entry.trim().toLowerCase())
-    .filter(Boolean);
+  /** @param {string} repoName */
+  const isIncluded = (repoName) =>
+    includeRules.length > 0 && matchesRepoRules(repoName, includeRules);
+
+  const usernames = (Array.isArray(username) ? username : [username]).filter(
+    Boolean,
+  );
+  const ownLogins = new Set(usernames.map((name) => name.toLowerCase()));
+  const isTeam = usernames.length > 1;
 
-  /** @type {Map<string, { org: string; orgDisplayName: string; avatarUrl: string; ownerType: string; repos: Map<string, { stars: number; prs: number; language: string }> }>} */
+  /** @typedef {{ stars: number; prs: number; language: string; lastMergedAt: string; members: Map<string, number>; counts: Record<string, number> }} RepoTally */
+  /** @type {Map<string, { org: string; orgDisplayName: string; avatarUrl: string; ownerType: string; repos: Map<string, RepoTally> }>} */
   const externalOrgMap = new Map();
-  /** @type {Map<string, { stars: number; prs: number; language: string }>} */
+  /** @type {Map<string, RepoTally & { owner: string }>} */
   const ownReposMap = new Map();
 
-  let after = null;
-  let hasNextPage = true;
+  const since = parseDateOption(options.since);
+  const until = parseDateOption(options.until);
+
+  /**
+   * The tally of a PR's repository, created on first use, or null when the
+   * repository is excluded or is one of the users' forks.
+   *
+   * @param {any} node Search result node.
+   * @returns {RepoTally | null}
+   */
+  const tallyFor = (node) => {
+    if (!node.repository) return null;
+    const ownerLogin = node.repository.owner.login;
+    const repoName = node.repository.nameWithOwner;
+    const ownerType = node.repository.owner.__typename || "User";
+    const isIncludedRepo = isIncluded(repoName);
+    const isFork = node.repository.isFork;
+
+    if (!isIncludedRepo && shouldExcludeRepo(repoName, excludeRules)) {
+      return null;
+    }
 
-  while (hasNextPage) {
-    const body = JSON.stringify({
-      query: SEARCH_MERGED_PRS_QUERY,
-      variables: {
-        searchQuery: `type:pr author:${username} is:merged`,
-        after,
-      },
+    const newTally = () => ({
+      stars: node.repository.stargazerCount,
+      prs: 0,
+      language: node.repository.primaryLanguage?.name || "",
+      lastMergedAt: "",
+      members: new Map(),
+      counts: {},
     });
 
-    const res = await fetch("https://api.github.com/graphql", {
-      method: "POST",
-      headers,
-      body,
-    });
+    // Separate the users' own repos from external repos
+    if (ownLogins.has(ownerLogin.toLowerCase())) {
+      // Skip forked repos owned by the user unless explicitly included
+      if (isFork && !isIncludedRepo) return null;
 
-    if (!res.ok) {
-      throw new Error(`GitHub API error: ${res.status} ${res.statusText}`);
+      // Track the users' own non-fork repos separately
+      if (!ownReposMap.has(repoName)) {
+        ownReposMap.set(repoName, { owner: ownerLogin, ...newTally() });
+      }
+      return ownReposMap.get(repoName);
     }
 
-    const json = await res.json();
-    if (json.errors) {
-      throw new Error(`GitHub GraphQL errors: ${JSON.stringify(json.errors)}`);
+    // Track external repos (any org/user that is not one of the users)
+    if (!externalOrgMap.has(ownerLogin)) {
+      externalOrgMap.set(ownerLogin, {
+        org: ownerLogin,
+        orgDisplayName: node.repository.owner.name || ownerLogin,
+        avatarUrl: node.repository.owner.avatarUrl,
+        ownerType,
+        repos: new Map(),
+      });
+    }
+    const orgEntry = externalOrgMap.get(ownerLogin);
+    if (!orgEntry.repos.has(repoName)) {
+      orgEntry.repos.set(repoName, newTally());
     }
+    return orgEntry.repos.get(repoName);
+  };
 
-    const search = json.data.search;
-    for (const node of search.nodes) {
-      if (!node.repository) continue;
-      const ownerLogin = node.repository.owner.login;
-      const repoName = node.repository.nameWithOwner;
-      const ownerType = node.repository.owner.__typename || "User";
-      const isFork = node.repository.isFork;
+  for (const member of usernames) {
+    const nodes = await collectSearchNodes(
+      `type:pr author:${member} is:merged`,
+      "merged",
+      since,
+      until,
+      request,
+    );
 
-      if (shouldExcludeRepo(repoName, normalizedExclude)) continue;
+    for (const node of nodes) {
+      const tally = tallyFor(node);
+      if (!tally) continue;
+      tally.prs += 1;
+      if (node.mergedAt && node.mergedAt > tally.lastMergedAt) {
+        tally.lastMergedAt = node.mergedAt;
+      }
+      tally.members.set(member, (tally.members.get(member) || 0) + 1);
+    }
+  }
 
-      // Separate user's own repos from external repos
-      if (ownerLogin === username) {
-        // Skip forked repos owned by the user
-        if (isFork) continue;
+  // Count the optional stats the same way, so a repository with only open
+  // or reviewed PRs gets an entry too. A PR found for several team members
+  // (e.g. reviewed by two of them) is counted once.
+  /** @type {string[]} */
+  const statFields = [];
+  for (const stat of options.stats || []) {
+    const search = EXTRA_STAT_SEARCHES[stat];
+    if (!search) continue;
+    const field = STAT_FIELDS[stat];
+    statFields.push(field);
+    const seenIds = new Set();
+    for (const member of usernames) {
+      const memberNodes = await collectSearchNodes(
+        search.query(member),
+        search.dateField,
+        since,
+        until,
+        request,
+      );
+      for (const node of memberNodes) {
+        if (node.id && seenIds.has(node.id)) continue;
+        if (node.id) seenIds.add(node.id);
+        const tally = tallyFor(node);
+        if (!tally) continue;
+        tally.counts[field] = (tally.counts[field] || 0) + 1;
+      }
+    }
+  }
 
-        // Track user's own non-fork repos separately
-        if (!ownReposMap.has(repoName)) {
-          ownReposMap.set(repoName, {
-            stars: node.repository.stargazerCount,
-            prs: 0,
-            language: node.repository.primaryLanguage?.name || "",
-          });
-        }
-        ownReposMap.get(repoName).prs += 1;
-      } else {
-        // Track external repos (any org/user that is not the current user)
-        if (!externalOrgMap.has(ownerLogin)) {
-          externalOrgMap.set(ownerLogin, {
-            org: ownerLogin,
-            orgDisplayName: node.repository.owner.name || ownerLogin,
-            avatarUrl: node.repository.owner.avatarUrl,
-            ownerType,
-            repos: new Map(),
-          });
-        }
+  /**
+   * The optional stats summed over some tallies, every requested one set.
+   *
+   * @param {RepoTally[]} tallies Tallies to add up.
+   * @returns {Record<string, number>} Spreadable entry fields.
+   */
+  const statCountFields = (tallies) =>
+    Object.fromEntries(
+      statFields.map((field) => [
+        field,
+        tallies.reduce((sum, tally) => sum + (tally.counts[field] || 0), 0),
+      ]),
+    );
 
-        const orgEntry = externalOrgMap.get(ownerLogin);
-        if (!orgEntry.repos.has(repoName)) {
-          orgEntry.repos.set(repoName, {
-            stars: node.repository.stargazerCount,
-            prs: 0,
-            language: node.repository.primaryLanguage?.name || "",
-          });
-        }
-        orgEntry.repos.get(repoName).prs += 1;
+  /**
+   * Per-member counts, highest first, for team results only.
+   *
+   * @param {Map<string, number>[]} tallies Member counts to add up.
+   * @returns {{ members?: Record<string, number> }} Spreadable entry fields.
+   */
+  const memberFields = (tallies) => {
+    if (!isTeam) return {};
+    /** @type {Map<string, number>} */
+    const totals = new Map();
+    for (const tally of tallies) {
+      for (const [member, count] of tally) {
+        totals.set(member, (totals.get(member) || 0) + count);
       }
     }
+    return {
+      members: Object.fromEntries([...totals].sort((a, b) => b[1] - a[1])),
+    };
+  };
 
-    hasNextPage = search.pageInfo.hasNextPage;
-    after = search.pageInfo.endCursor;
-  }
+  const groupByRepo = options.groupBy === "repo";
+  const serverUrl = trimTrailingSlash(options.serverUrl || DEFAULT_SERVER_URL);
+  // Entries kept because of `includes`, exempt from the card limits.
+  /** @type {Set<OrgPRData>} */
+  const forcedEntries = new Set();
 
-  // For each external org pick the "main" repo (most stars) and sum PRs.
+  // For each external org pick the "main" repo (most stars) and sum PRs, or
+  // emit one entry per repository when grouping by repo.
   /** @type {OrgPRData[]} */
   const externalResult = [];
   for (const entry of externalOrgMap.values()) {
+    if (groupByRepo) {
+      for (const [name, info] of entry.repos) {
+        const repoEntry = {
+          org: entry.org,
+          orgDisplayName: getRepoShortName(name),
+          avatarUrl: entry.avatarUrl,
+          repo: name,
+          stars: info.stars,
+          mergedPRs: info.prs,
+          language: info.language,
+          lastMergedAt: info.lastMergedAt,
+          ...memberFields([info.members]),
+          ...statCountFields([info]),
+        };
+        if (isIncluded(name)) forcedEntries.add(repoEntry);
+        externalResult.push(repoEntry);
+      }
+      continue;
+    }
+
+    // The main repo is picked from those with merged PRs, if there are any.
+    const hasMerged = [...entry.repos.values()].some((info) => info.prs > 0);
     let mainRepo = { name: "", stars: 0, language: "" };
     let totalPRs = 0;
+    let lastMergedAt = "";
     for (const [name, info] of entry.repos) {
       totalPRs += info.prs;
-      if (info.stars > mainRepo.stars) {
+      if (info.lastMergedAt > lastMergedAt) lastMergedAt = info.lastMergedAt;
+      if (hasMerged && info.prs === 0) continue;
+      if (!mainRepo.name || info.stars > mainRepo.stars) {
         mainRepo = { name, stars: info.stars, language: info.language };
       }
     }
@@ -337,7 +1218,7 @@ const fetchUserPRs = async (
       entry.orgDisplayName,
       mainRepo.name,
     );
-    externalResult.push({
+    const orgEntry = {
       org: entry.org,
       orgDisplayName: displayName,
       avatarUrl: entry.avatarUrl,
@@ -345,36 +1226,40 @@ const fetchUserPRs = async (
       stars: mainRepo.stars,
       mergedPRs: totalPRs,
       language: mainRepo.language,
-    });
+      lastMergedAt,
+      ...memberFields([...entry.repos.values()].map((info) => info.members)),
+      ...statCountFields([...entry.repos.values()]),
+    };
+    if ([...entry.repos.keys()].some(isIncluded)) forcedEntries.add(orgEntry);
+    externalResult.push(orgEntry);
   }
 
-  // Sort descending by merged PRs.
-  externalResult.sort((a, b) => b.mergedPRs - a.mergedPRs);
-
-  // Create entries for each of the user's own repos (non-fork)
+  // Create entries for each of the users' own repos (non-fork)
   /** @type {OrgPRData[]} */
   const ownResult = [];
   for (const [name, info] of ownReposMap) {
-    ownResult.push({
-      org: username,
+    const ownEntry = {
+      org: info.owner,
       orgDisplayName: getRepoShortName(name),
-      avatarUrl: `https://github.com/${username}.png`,
+      avatarUrl: `${serverUrl}/${info.owner}.png`,
       repo: name,
       stars: info.stars,
       mergedPRs: info.prs,
       language: info.language,
-    });
+      lastMergedAt: info.lastMergedAt,
+      ...memberFields([info.members]),
+      ...statCountFields([info]),
+    };
+    if (isIncluded(name)) forcedEntries.add(ownEntry);
+    ownResult.push(ownEntry);
   }
 
-  // Sort own repos descending by merged PRs to mirror external ordering.
-  ownResult.sort((a, b) => b.mergedPRs - a.mergedPRs);
-
   // Process forced-include repos that may have no merged PRs or be forks.
-  for (const includeRepo of includeList) {
-    const slashIdx = includeRepo.indexOf("/");
-    if (slashIdx === -1) continue;
-    const owner = includeRepo.slice(0, slashIdx);
-    const name = includeRepo.slice(slashIdx + 1);
+  for (const includeRule of includeRules) {
+    if (!isExactRepoRule(includeRule)) continue;
+    const slashIdx = includeRule.source.indexOf("/");
+    const owner = includeRule.source.slice(0, slashIdx);
+    const name = includeRule.source.slice(slashIdx + 1);
     if (!owner || !name) continue;
     const fullName = `${owner}/${name}`;
     const fullNameLower = fullName.toLowerCase();
@@ -391,40 +1276,34 @@ const fetchUserPRs = async (
     // Fetch repo info from GitHub.
     let repoNode;
     try {
-      const res = await fetch("https://api.github.com/graphql", {
-        method: "POST",
-        headers,
-        body: JSON.stringify({
-          query: REPO_INFO_QUERY,
-          variables: { owner, name },
-        }),
-      });
-      if (!res.ok) {
-        console.warn(
-          `Could not fetch included repository ${fullName}: HTTP ${res.status}`,
-        );
-        continue;
-      }
-      const json = await res.json();
-      repoNode = json.data?.repository;
+      const data = await requestGraphQL(
+        REPO_INFO_QUERY,
+        { owner, name },
+        request,
+      );
+      repoNode = data?.repository;
       if (!repoNode) {
         console.warn(
           `Included repository ${fullName} was not found on GitHub.`,
         );
       }
     } catch (err) {
-      console.warn(`Failed to fetch included repository ${fullName}: ${err}`);
+      console.warn(
+        `Could not fetch included repository ${fullName}: ${err instanceof Error ? err.message : err}`,
+      );
       continue;
     }
     if (!repoNode) continue;
 
     const ownerLogin = repoNode.owner.login;
     const ownerType = repoNode.owner.__typename || "User";
-    const displayName = resolveOrgDisplayName(
-      ownerType,
-      repoNode.owner.name || ownerLogin,
-      repoNode.nameWithOwner,
-    );
+    const displayName = groupByRepo
+      ? getRepoShortName(repoNode.nameWithOwner)
+      : resolveOrgDisplayName(
+          ownerType,
+          repoNode.owner.name || ownerLogin,
+          repoNode.nameWithOwner,
+        );
 
     const entry = {
       org: ownerLogin,
@@ -434,18 +1313,34 @@ const fetchUserPRs = async (
       stars: repoNode.stargazerCount,
       mergedPRs: 0,
       language: repoNode.primaryLanguage?.name || "",
+      lastMergedAt: "",
+      ...memberFields([]),
+      ...statCountFields([]),
     };
+    forcedEntries.add(entry);
 
-    if (ownerLogin.toLowerCase() === username.toLowerCase()) {
+    if (ownLogins.has(ownerLogin.toLowerCase())) {
       ownResult.push(entry);
     } else {
       externalResult.push(entry);
     }
   }
 
+  // Sort once the included repos are appended, then apply the limits so
+  // `max_cards` keeps the first entries in that order.
+  const isForced = (entry) => forcedEntries.has(entry);
   return {
-    external: externalResult,
-    own: ownResult,
+    external: applyCardLimits(
+      sortEntries(externalResult, options.sort),
+      options.limits?.external,
+      isForced,
+    ),
+    own: applyCardLimits(
+      sortEntries(ownResult, options.sort),
+      options.limits?.own,
+      isForced,
+    ),
+    rateLimit: request.rateLimit,
   };
 };
 
@@ -453,14 +1348,31 @@ const fetchUserPRs = async (
 // SVG card renderer
 // ---------------------------------------------------------------------------
 
+/**
+ * Merge custom theme definitions over the upstream themes. A custom theme
+ * with an upstream name only replaces the colours it defines.
+ * @param {Record<string, Record<string, string>>} [customThemes]
+ * @returns {Record<string, Record<string, string>>} Theme map by name.
+ */
+const mergeThemes = (customThemes = {}) => {
+  const merged = { ...themes };
+  for (const [name, colors] of Object.entries(customThemes)) {
+    merged[name] = { ...themes[name], ...colors };
+  }
+  return merged;
+};
+
 /**
  * Resolve theme colours with user overrides, mirroring upstream getCardColors.
+ * Unknown theme names fall back to `default`.
  * @param {Record<string, string>} options
+ * @param {Record<string, Record<string, string>>} [themeMap] Available
+ *   themes (default upstream themes), see mergeThemes.
  * @returns {{ titleColor: string; textColor: string; iconColor: string; bgColor: string; borderColor: string }}
  */
-const resolveColors = (options) => {
+const resolveColors = (options, themeMap = themes) => {
   const themeName = options.theme || "default";
-  const base = themes[themeName] || themes["default"];
+  const base = themeMap[themeName] || themeMap["default"] || themes["default"];
   const fallback = themes["default"];
 
   const hex = (v, fb) => {
@@ -493,41 +1405,513 @@ const resolveColors = (options) => {
  * Convert a GitHub blob URL to its raw content URL.
  * e.g. https://github.com/owner/repo/blob/branch/path/img.png
  *   -> https://raw.githubusercontent.com/owner/repo/branch/path/img.png
+ * On GitHub Enterprise Server, blob URLs of the given server are converted to
+ * its `/raw/` path instead:
+ *   https://ghe.example.com/owner/repo/blob/branch/img.png
+ *   -> https://ghe.example.com/owner/repo/raw/branch/img.png
  * Other URLs are returned unchanged.
  * @param {string} url
+ * @param {string} [serverUrl] GitHub server URL (default https://github.com).
  * @returns {string}
  */
-const toRawUrl = (url) => {
-  const match = url.match(
-    /^https:\/\/github\.com\/([^/]+\/[^/]+)\/blob\/(.+?)(\?.*)?$/,
-  );
+const toRawUrl = (url, serverUrl = DEFAULT_SERVER_URL) => {
+  const server = trimTrailingSlash(serverUrl);
+  if (server === DEFAULT_SERVER_URL) {
+    const match = url.match(
+      /^https:\/\/github\.com\/([^/]+\/[^/]+)\/blob\/(.+?)(\?.*)?$/,
+    );
+    if (match) {
+      return `https://raw.githubusercontent.com/${match[1]}/${match[2]}`;
+    }
+    return url;
+  }
+  if (!url.startsWith(`${server}/`)) return url;
+  const match = url
+    .slice(server.length)
+    .match(/^\/([^/]+\/[^/]+)\/blob\/(.+?)(\?.*)?$/);
   if (match) {
-    return `https://raw.githubusercontent.com/${match[1]}/${match[2]}`;
+    return `${server}/${match[1]}/raw/${match[2]}`;
   }
   return url;
 };
 
+/** Default age after which images in the persistent cache are revalidated. */
+const DEFAULT_IMAGE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Duration units accepted by parseDuration, in milliseconds.
+ * @type {Record<string, number>}
+ */
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration such as "30m", "12h" or "7d" into milliseconds.
+ * @param {string | undefined} value Duration option.
+ * @param {number} fallback Value used when the option is not set.
+ * @returns {number} Duration in milliseconds.
+ * @throws {Error} If the value is not a valid duration.
+ */
+const parseDuration = (value, fallback) => {
+  const trimmed = (value || "").trim();
+  if (!trimmed) return fallback;
+  const match = trimmed.match(/^(\d+)\s*([smhdw])$/i);
+  if (!match) {
+    throw new Error(
+      `Invalid duration "${trimmed}": use a number with s, m, h, d or w (e.g. 12h or 7d).`,
+    );
+  }
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+};
+
 /**
  * Fetch an image and return it as a Base64 data URI.
+ * With an in-memory cache in the context, concurrent and repeated requests
+ * for the same URL share one download; failed downloads are not cached.
+ * @param {string} url Image URL.
+ * @param {RenderContext} [context] Shared render state (caches).
+ * @returns {Promise<string>} data URI.
+ */
+const fetchImageDataUri = async (url, context = {}) => {
+  const cache = context.imageCache;
+  if (!cache) return loadImageDataUri(url, context);
+  const cached = cache.get(url);
+  if (cached) return cached;
+  const pending = loadImageDataUri(url, context);
+  cache.set(url, pending);
+  pending.catch(() => cache.delete(url));
+  return pending;
+};
+
+/**
+ * Load an image as a data URI, going through the persistent cache when the
+ * context has a cache directory.
+ *
+ * Entries younger than the TTL are used as-is. Older entries are revalidated
+ * with `If-None-Match` / `If-Modified-Since`; if the request fails, the stale
+ * entry is used so cards still render when the network is unavailable.
+ *
+ * @param {string} url Image URL.
+ * @param {RenderContext} context Shared render state.
+ * @returns {Promise<string>} data URI.
+ */
+const loadImageDataUri = async (url, context) => {
+  if (!context.cacheDir) return downloadImageDataUri(url);
+
+  const key = createHash("sha256").update(url).digest("hex");
+  const file = path.join(context.cacheDir, `${key}.json`);
+  /** @type {{ url: string; dataUri: string; etag?: string; lastModified?: string; fetchedAt: number } | null} */
+  let entry = null;
+  try {
+    entry = JSON.parse(await readFile(file, "utf8"));
+  } catch {
+    // missing or corrupt entry
+  }
+
+  const ttl = context.cacheTtl ?? DEFAULT_IMAGE_CACHE_TTL;
+  if (entry && Date.now() - entry.fetchedAt < ttl) return entry.dataUri;
+
+  let fresh;
+  try {
+    /** @type {Record<string, string>} */
+    const headers = {};
+    if (entry?.etag) headers["If-None-Match"] = entry.etag;
+    if (entry?.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+    const res = await fetch(url, { headers });
+    if (res.status === 304 && entry) {
+      fresh = { ...entry, fetchedAt: Date.now() };
+    } else {
+      if (!res.ok) {
+        throw new Error(`Failed to fetch image: ${url} (${res.status})`);
+      }
+      fresh = {
+        url,
+        dataUri: await toDataUri(res),
+        etag: res.headers.get("etag") || undefined,
+        lastModified: res.headers.get("last-modified") || undefined,
+        fetchedAt: Date.now(),
+      };
+    }
+  } catch (err) {
+    if (!entry) throw err;
+    console.warn(
+      `Using cached image for ${url}: ${err instanceof Error ? err.message : err}`,
+    );
+    return entry.dataUri;
+  }
+  if (context.readOnlyCache) return fresh.dataUri;
+
+  try {
+    await mkdir(context.cacheDir, { recursive: true });
+    await writeFile(file, JSON.stringify(fresh), "utf8");
+  } catch (err) {
+    console.warn(`Could not write image cache ${file}: ${err}`);
+  }
+  return fresh.dataUri;
+};
+
+/**
+ * Download an image and encode it as a Base64 data URI.
  * @param {string} url Image URL.
  * @returns {Promise<string>} data URI.
  */
-const fetchImageDataUri = async (url) => {
+const downloadImageDataUri = async (url) => {
   const res = await fetch(url);
   if (!res.ok) throw new Error(`Failed to fetch image: ${url} (${res.status})`);
+  return toDataUri(res);
+};
+
+/**
+ * Encode an image response body as a Base64 data URI.
+ * @param {Response} res Successful image response.
+ * @returns {Promise<string>} data URI.
+ */
+const toDataUri = async (res) => {
   const buf = await res.arrayBuffer();
   const base64 = Buffer.from(buf).toString("base64");
   const ct = res.headers.get("content-type") || "image/png";
   return `data:${ct};base64,${base64}`;
 };
 
+// Star icon (GitHub octicon star-fill, yellow)
+const STAR_ICON = `<svg viewBox="0 0 16 16" width="16" height="16" fill="#f1e05a">
+    <path d="M8 .25a.75.75 0 0 1 .673.418l1.882 3.815 4.21.612a.75.75 0 0 1 .416 1.279l-3.046 2.97.719 4.192a.75.75 0 0 1-1.088.791L8 12.347l-3.766 1.98a.75.75 0 0 1-1.088-.79l.72-4.194L.818 6.374a.75.75 0 0 1 .416-1.28l4.21-.611L7.327.668A.75.75 0 0 1 8 .25z"/>
+  </svg>`;
+
+// Merged PR icon (GitHub octicon git-merge, purple)
+const MERGED_ICON = `<svg viewBox="0 0 16 16" width="16" height="16" fill="#8957e5">
+    <path d="M5.45 5.154A4.25 4.25 0 0 0 9.25 7.5h1.378a2.251 2.251 0 1 1 0 1.5H9.25A5.734 5.734 0 0 1 5 7.123v3.505a2.25 2.25 0 1 1-1.5 0V5.372a2.25 2.25 0 1 1 1.95-.218ZM4.25 13.5a.75.75 0 1 0 0-1.5.75.75 0 0 0 0 1.5Zm8.5-4.5a.75.75 0 1 0 0-1.5.75.75 0 0 0 0 1.5ZM5 3.25a.75.75 0 1 0 0 .005V3.25Z"/>
+  </svg>`;
+
+// Open PR icon (GitHub octicon git-pull-request, green)
+const OPEN_ICON = `<svg viewBox="0 0 16 16" width="16" height="16" fill="#1a7f37">
+    <path d="M1.5 3.25a2.25 2.25 0 1 1 3 2.122v5.256a2.251 2.251 0 1 1-1.5 0V5.372A2.25 2.25 0 0 1 1.5 3.25Zm5.677-.177L9.573.677A.25.25 0 0 1 10 .854V2.5h1A2.5 2.5 0 0 1 13.5 5v5.628a2.251 2.251 0 1 1-1.5 0V5a1 1 0 0 0-1-1h-1v1.646a.25.25 0 0 1-.427.177L7.177 3.427a.25.25 0 0 1 0-.354ZM3.75 2.5a.75.75 0 1 0 0 1.5.75.75 0 0 0 0-1.5Zm0 9.5a.75.75 0 1 0 0 1.5.75.75 0 0 0 0-1.5Zm8.25.75a.75.75 0 1 0 1.5 0 .75.75 0 0 0-1.5 0Z"/>
+  </svg>`;
+
+// Closed PR icon (GitHub octicon git-pull-request-closed, red)
+const CLOSED_ICON = `<svg viewBox="0 0 16 16" width="16" height="16" fill="#cf222e">
+    <path d="M3.25 1A2.25 2.25 0 0 1 4 5.372v5.256a2.251 2.251 0 1 1-1.5 0V5.372A2.251 2.251 0 0 1 3.25 1Zm9.5 5.5a.75.75 0 0 1 .75.75v3.378a2.251 2.251 0 1 1-1.5 0V7.25a.75.75 0 0 1 .75-.75Zm-2.03-5.273a.75.75 0 0 1 1.06 0l.97.97.97-.97a.748.748 0 0 1 1.265.332.75.75 0 0 1-.205.729l-.97.97.97.97a.751.751 0 0 1-.018 1.042.751.751 0 0 1-1.042.018l-.97-.97-.97.97a.749.749 0 0 1-1.275-.326.749.749 0 0 1 .215-.734l.97-.97-.97-.97a.75.75 0 0 1 0-1.06ZM2.5 12.25a.75.75 0 1 0 1.5 0 .75.75 0 0 0-1.5 0ZM3.25 3.25a.75.75 0 1 0 0-1.5.75.75 0 0 0 0 1.5Zm9.5 9.75a.75.75 0 1 0 0-1.5.75.75 0 0 0 0 1.5Z"/>
+  </svg>`;
+
+// Reviewed PR icon (GitHub octicon eye, amber)
+const REVIEWED_ICON = `<svg viewBox="0 0 16 16" width="16" height="16" fill="#bf8700">
+    <path d="M8 2c1.981 0 3.671.992 4.933 2.078 1.27 1.091 2.187 2.345 2.637 3.023a1.62 1.62 0 0 1 0 1.798c-.45.678-1.367 1.932-2.637 3.023C11.67 13.008 9.981 14 8 14c-1.981 0-3.671-.992-4.933-2.078C1.797 10.83.88 9.576.43 8.898a1.62 1.62 0 0 1 0-1.798c.45-.677 1.367-1.931 2.637-3.022C4.33 2.992 6.019 2 8 2ZM1.679 7.932a.12.12 0 0 0 0 .136c.411.622 1.241 1.75 2.366 2.717C5.176 11.758 6.527 12.5 8 12.5c1.473 0 2.825-.742 3.955-1.715 1.124-.967 1.954-2.096 2.366-2.717a.12.12 0 0 0 0-.136c-.412-.621-1.242-1.75-2.366-2.717C10.824 4.242 9.473 3.5 8 3.5c-1.473 0-2.825.742-3.955 1.715-1.124.967-1.954 2.096-2.366 2.717ZM8 10a2 2 0 1 1-.001-3.999A2 2 0 0 1 8 10Z"/>
+  </svg>`;
+
+/** @type {Record<string, string>} */
+const STAT_ICONS = {
+  merged: MERGED_ICON,
+  open: OPEN_ICON,
+  closed: CLOSED_ICON,
+  reviewed: REVIEWED_ICON,
+};
+
+/**
+ * Format a count compactly, e.g. 1234 -> "1.2k". With a locale the
+ * locale's compact notation is used instead ("1,2 mil" for `pt-br`).
+ * @param {number} n
+ * @param {string} [locale] Locale option; invalid tags are ignored.
+ * @returns {string}
+ */
+const formatCount = (n, locale) => {
+  if (locale) {
+    try {
+      return new Intl.NumberFormat(locale, {
+        notation: "compact",
+        maximumFractionDigits: 1,
+      }).format(n);
+    } catch {
+      // fall back to the default format below
+    }
+  }
+  if (n >= 1000) return `${(n / 1000).toFixed(1)}k`;
+  return String(n);
+};
+
+/**
+ * Format a whole number with the locale's digits and grouping.
+ * @param {number} n
+ * @param {string} [locale] Locale option; invalid tags are ignored.
+ * @returns {string}
+ */
+const formatNumber = (n, locale) => {
+  if (locale) {
+    try {
+      return new Intl.NumberFormat(locale).format(n);
+    } catch {
+      // fall back to plain digits
+    }
+  }
+  return String(n);
+};
+
+/**
+ * Fetch the avatar (or custom image) for an entry as a data URI so the SVG
+ * is self-contained. Returns an empty string if the image cannot be fetched.
+ * @param {OrgPRData} data Organisation PR data.
+ * @param {number} size Rendered avatar size in pixels.
+ * @param {Record<string, string>} customImages Map of repo/org names to custom image URLs.
+ * @param {RenderContext} context Shared state across renders of one run.
+ * @returns {Promise<string>} data URI or "".
+ */
+const resolveAvatarDataUri = async (data, size, customImages, context) => {
+  // Resolve custom image: check full repo name, short repo name, then org name.
+  const customImageUrl =
+    customImages[data.repo] ||
+    customImages[getRepoShortName(data.repo)] ||
+    customImages[data.org];
+
+  try {
+    const imageUrl = customImageUrl
+      ? toRawUrl(customImageUrl, context.serverUrl)
+      : `${data.avatarUrl}?s=${size * 2}`;
+    return await fetchImageDataUri(imageUrl, context);
+  } catch {
+    return "";
+  }
+};
+
+/**
+ * Card layouts. `compact` is a single badge-like line, `default` the
+ * original card and `wide` adds a line with the repository name.
+ * `minWidth` bounds the `card_width` override.
+ * @type {Record<string, { width: number; minWidth: number; height: number; avatarSize: number; padding: number; titleSize: number }>}
+ */
+const CARD_LAYOUTS = {
+  compact: {
+    width: 320,
+    minWidth: 160,
+    height: 36,
+    avatarSize: 20,
+    padding: 8,
+    titleSize: 13,
+  },
+  default: {
+    width: 450,
+    minWidth: 300,
+    height: 100,
+    avatarSize: 60,
+    padding: 20,
+    titleSize: 16,
+  },
+  wide: {
+    width: 600,
+    minWidth: 400,
+    height: 110,
+    avatarSize: 60,
+    padding: 20,
+    titleSize: 16,
+  },
+};
+
+/** Largest accepted `card_width`. */
+const MAX_CARD_WIDTH = 1200;
+
+/**
+ * Resolve the card width from the `card_width` option, clamped to what the
+ * layout can fit; invalid values fall back to the layout's width.
+ * @param {string | undefined} value `card_width` option.
+ * @param {{ width: number; minWidth: number }} layout Card layout.
+ * @returns {number} Width in pixels.
+ */
+const resolveCardWidth = (value, layout) => {
+  const parsed = parseInt(value, 10);
+  if (!(parsed > 0)) return layout.width;
+  return Math.min(Math.max(parsed, layout.minWidth), MAX_CARD_WIDTH);
+};
+
+/**
+ * Estimate the rendered width of a label in the card font. There is no font
+ * engine at render time, so this uses rough per-character widths of
+ * 'Segoe UI'; good enough to place labels and decide when to truncate.
+ * @param {string} text Label text.
+ * @param {number} fontSize Font size in pixels.
+ * @param {boolean} [bold] Semi-bold text (slightly wider).
+ * @returns {number} Estimated width in pixels.
+ */
+const estimateTextWidth = (text, fontSize, bold = false) => {
+  let em = 0;
+  for (const char of text) {
+    if (
+      /[\u1100-\u11ff\u2e80-\ua4cf\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/.test(
+        char,
+      )
+    ) {
+      em += 1;
+    } else if (/[ilj.,:;'|!\s]/.test(char)) {
+      em += 0.28;
+    } else if (/[mwMW@%]/.test(char)) {
+      em += 0.85;
+    } else if (/[A-Z#]/.test(char)) {
+      em += 0.65;
+    } else {
+      em += 0.55;
+    }
+  }
+  return em * fontSize * (bold ? 1.06 : 1);
+};
+
+/**
+ * Headroom on estimated widths where text must not run into its neighbours:
+ * the estimate is tuned to 'Segoe UI', while viewers without it (and the PNG
+ * renderer on Linux runners) fall back to fonts such as DejaVu Sans that run
+ * about 10% wider.
+ */
+const TEXT_WIDTH_MARGIN = 1.1;
+
+/**
+ * Upper bound of the rendered width of a label in any of the card fonts.
+ * @param {string} text Label text.
+ * @param {number} fontSize Font size in pixels.
+ * @param {boolean} [bold] Semi-bold text.
+ * @returns {number} Width in pixels, including TEXT_WIDTH_MARGIN.
+ */
+const maxTextWidth = (text, fontSize, bold = false) =>
+  estimateTextWidth(text, fontSize, bold) * TEXT_WIDTH_MARGIN;
+
+/**
+ * Shorten a label with an ellipsis so it fits in the fallback fonts as well
+ * (see maxTextWidth).
+ * @param {string} text Label text.
+ * @param {number} maxWidth Available width in pixels.
+ * @param {number} fontSize Font size in pixels.
+ * @param {boolean} [bold] Semi-bold text.
+ * @returns {string} The label, or a truncated copy ending in "…".
+ */
+const truncateText = (text, maxWidth, fontSize, bold = false) => {
+  if (maxTextWidth(text, fontSize, bold) <= maxWidth) return text;
+  const chars = [...text];
+  while (chars.length) {
+    chars.pop();
+    const candidate = `${chars.join("").trimEnd()}…`;
+    if (maxTextWidth(candidate, fontSize, bold) <= maxWidth) {
+      return candidate;
+    }
+  }
+  return "…";
+};
+
+/**
+ * Lay out icon + label pairs left to right (right to left with `rtl`, from
+ * the group origin leftwards), starting a new 20px row when an item might
+ * exceed `maxWidth` (see maxTextWidth). Items that would need more than
+ * `maxRows` rows are left out, and a label too wide for a row of its own is
+ * truncated.
+ * @param {{ icon: string; label: string }[]} items Stats to place.
+ * @param {number} maxWidth Available width in pixels.
+ * @param {boolean} [rtl] Mirror the row for right-to-left locales.
+ * @param {number} [animationDelay] When set, items get the `stagger` class
+ *   and fade in one after another starting at this delay (ms).
+ * @param {number} [maxRows] Maximum number of rows (default unlimited).
+ * @returns {{ svg: string; rows: number; width: number }} Positioned items,
+ *   the number of rows used and the width of the widest row.
+ */
+const layoutStatItems = (
+  items,
+  maxWidth,
+  rtl = false,
+  animationDelay,
+  maxRows = Infinity,
+) => {
+  let x = 0;
+  let row = 0;
+  let width = 0;
+  const parts = [];
+  for (const [index, item] of items.entries()) {
+    if (x > 0 && x + 20 + maxTextWidth(item.label, 13) > maxWidth) {
+      if (row + 1 >= maxRows) break;
+      x = 0;
+      row += 1;
+    }
+    const label = truncateText(item.label, maxWidth - 20, 13);
+    const itemWidth = Math.round(20 + estimateTextWidth(label, 13));
+    const stagger =
+      animationDelay === undefined
+        ? ""
+        : ` class="stagger" style="animation-delay: ${animationDelay + index * 150}ms"`;
+    parts.push(
+      rtl
+        ? `<g transform="translate(${-(x + itemWidth)}, ${row * 20})"${stagger}>
+      <g transform="translate(${itemWidth - 16}, 0)">${item.icon}</g>
+      <text x="${itemWidth - 20}" y="13" class="stat" text-anchor="end">${escapeXml(label)}</text>
+    </g>`
+        : `<g transform="translate(${x}, ${row * 20})"${stagger}>
+      ${item.icon}
+      <text x="20" y="13" class="stat">${escapeXml(label)}</text>
+    </g>`,
+    );
+    width = Math.max(width, x + itemWidth);
+    x += itemWidth + 16;
+  }
+  return { svg: parts.join("\n    "), rows: row + 1, width };
+};
+
+/**
+ * Whether a card should be animated: `animate=true` turns animations on and
+ * `disable_animations=true` (as upstream) always turns them off.
+ * @param {Record<string, string>} options User options.
+ * @returns {boolean}
+ */
+const isAnimated = (options) =>
+  options.animate === "true" && options.disable_animations !== "true";
+
+/**
+ * CSS keyframes for animated cards. The `backwards` fill mode hides elements
+ * only while their delay runs, so renderers without CSS animations still
+ * show the final card; `prefers-reduced-motion` switches animations off.
+ * Stat groups only fade: a CSS transform would replace their `transform`
+ * attribute and move them while animating.
+ * @returns {string} Rules for the card's `<style>` element.
+ */
+const animationStyles = () => `
+    @keyframes scaleInAnimation {
+      from { transform: scale(0); }
+      to { transform: scale(1); }
+    }
+    @keyframes fadeInAnimation {
+      from { opacity: 0; }
+      to { opacity: 1; }
+    }
+    .avatar {
+      transform-box: fill-box;
+      transform-origin: center;
+      animation: scaleInAnimation 0.5s ease-in-out backwards;
+    }
+    .fade-in {
+      animation: fadeInAnimation 0.8s ease-in-out 0.2s backwards;
+    }
+    .stagger {
+      animation: fadeInAnimation 0.3s ease-in-out backwards;
+    }
+    @media (prefers-reduced-motion: reduce) {
+      .avatar, .fade-in, .stagger {
+        animation: none;
+      }
+    }`;
+
 /**
  * Render a single organisation PR card as SVG.
  *
+ * `layout` selects `compact`, `default` or `wide` (see CARD_LAYOUTS) and
+ * `card_width` overrides the width; text that does not fit is truncated
+ * with an ellipsis and stats wrap onto further rows.
+ *
+ * `locale` translates the card text (see translations.js) and formats
+ * numbers for that locale; right-to-left locales get a mirrored layout.
+ *
+ * `animate=true` scales the avatar in and fades in the name and each stat
+ * group; `disable_animations=true` keeps the card static.
+ *
  * @param {OrgPRData} data Organisation PR data.
- * @param {Record<string, string>} options User options (theme, colors).
+ * @param {Record<string, string>} options User options (theme, colors, stats).
  * @param {Record<string, string>} languageColors Language-to-color mapping.
  * @param {Record<string, string>} [customImages] Map of repo/org names to custom image URLs.
+ * @param {RenderContext} [context] Shared state across renders of one run.
  * @returns {Promise<string>} SVG string.
  */
 const renderOrgCard = async (
@@ -535,38 +1919,50 @@ const renderOrgCard = async (
   options,
   languageColors,
   customImages = {},
+  context = {},
 ) => {
-  const colors = resolveColors(options);
+  const colors = resolveColors(options, context.themes);
   const borderRadius = options.border_radius || "4.5";
   const hideBorder = options.hide_border === "true";
 
-  const width = 450;
-  const height = 100;
-  const avatarSize = 60;
-
-  // Resolve custom image: check full repo name, short repo name, then org name.
-  const customImageUrl =
-    customImages[data.repo] ||
-    customImages[getRepoShortName(data.repo)] ||
-    customImages[data.org];
-
-  // Fetch avatar (or custom image) as data URI so the SVG is self-contained.
-  let avatarDataUri;
-  try {
-    const imageUrl = customImageUrl
-      ? toRawUrl(customImageUrl)
-      : `${data.avatarUrl}?s=${avatarSize * 2}`;
-    avatarDataUri = await fetchImageDataUri(imageUrl);
-  } catch {
-    avatarDataUri = "";
-  }
+  const layoutName = CARD_LAYOUTS[options.layout] ? options.layout : "default";
+  const layout = CARD_LAYOUTS[layoutName];
+  const isCompact = layoutName === "compact";
+  const isWide = layoutName === "wide";
+
+  const locale = normalizeLocale(options.locale);
+  const rtl = isRtlLocale(locale);
+  const animated = isAnimated(options);
+
+  // Team cards can list the merged PRs per member on an extra line.
+  const members =
+    options.show_members === "true" && data.members && !isCompact
+      ? Object.entries(data.members)
+      : [];
+
+  const width = resolveCardWidth(options.card_width, layout);
+  const { avatarSize, padding, titleSize } = layout;
+  const avatarY = (layout.height - avatarSize) / 2;
+  const textX = padding + avatarSize + (isCompact ? 8 : 15);
+  const contentRight = width - padding;
+  // Positions are computed left to right and mirrored for RTL locales: an
+  // element's left edge `x` (or a text's start) maps to its right edge.
+  const mirrorX = (x, size = 0) => (rtl ? width - x - size : x);
+  const anchor = rtl ? ' text-anchor="end"' : "";
+
+  const avatarDataUri = await resolveAvatarDataUri(
+    data,
+    avatarSize,
+    customImages,
+    context,
+  );
 
-  // Language icon
+  // Language icon (not shown on compact cards)
   let langIconDataUri = "";
-  const langUrl = languageIconUrl(data.language);
+  const langUrl = isCompact ? "" : languageIconUrl(data.language);
   if (langUrl) {
     try {
-      langIconDataUri = await fetchImageDataUri(langUrl);
+      langIconDataUri = await fetchImageDataUri(langUrl, context);
     } catch {
       // fall through – we just won't show the icon
     }
@@ -574,51 +1970,130 @@ const renderOrgCard = async (
 
   const langColor = languageColor(data.language, languageColors);
 
-  // Star icon (GitHub octicon star-fill, yellow)
-  const starIcon = `<svg viewBox="0 0 16 16" width="16" height="16" fill="#f1e05a">
-    <path d="M8 .25a.75.75 0 0 1 .673.418l1.882 3.815 4.21.612a.75.75 0 0 1 .416 1.279l-3.046 2.97.719 4.192a.75.75 0 0 1-1.088.791L8 12.347l-3.766 1.98a.75.75 0 0 1-1.088-.79l.72-4.194L.818 6.374a.75.75 0 0 1 .416-1.28l4.21-.611L7.327.668A.75.75 0 0 1 8 .25z"/>
-  </svg>`;
-
-  // Merged PR icon (GitHub octicon git-merge, purple)
-  const mergedIcon = `<svg viewBox="0 0 16 16" width="16" height="16" fill="#8957e5">
-    <path d="M5.45 5.154A4.25 4.25 0 0 0 9.25 7.5h1.378a2.251 2.251 0 1 1 0 1.5H9.25A5.734 5.734 0 0 1 5 7.123v3.505a2.25 2.25 0 1 1-1.5 0V5.372a2.25 2.25 0 1 1 1.95-.218ZM4.25 13.5a.75.75 0 1 0 0-1.5.75.75 0 0 0 0 1.5Zm8.5-4.5a.75.75 0 1 0 0-1.5.75.75 0 0 0 0 1.5ZM5 3.25a.75.75 0 1 0 0 .005V3.25Z"/>
-  </svg>`;
-
-  const clipId = `avatar-clip-${data.org}`;
+  const idPrefix = SVG_ID_PLACEHOLDER;
+  const titleId = `${idPrefix}-title`;
+  const descId = `${idPrefix}-desc`;
+  const clipId = `${idPrefix}-avatar-clip`;
+  const avatarRadius = isCompact ? 4 : 8;
+  const avatarX = mirrorX(padding, avatarSize);
   const avatarImage = avatarDataUri
-    ? `<defs>
+    ? `<g${animated ? ' class="avatar"' : ""}>
+      <defs>
         <clipPath id="${clipId}">
-          <rect x="20" y="20" width="${avatarSize}" height="${avatarSize}" rx="8"/>
+          <rect x="${avatarX}" y="${avatarY}" width="${avatarSize}" height="${avatarSize}" rx="${avatarRadius}"/>
         </clipPath>
       </defs>
-      <rect x="20" y="20" width="${avatarSize}" height="${avatarSize}" rx="8" fill="#fff"/>
-      <image x="20" y="20" width="${avatarSize}" height="${avatarSize}"
-             href="${avatarDataUri}" clip-path="url(#${clipId})"/>`
+      <rect x="${avatarX}" y="${avatarY}" width="${avatarSize}" height="${avatarSize}" rx="${avatarRadius}" fill="#fff"/>
+      <image x="${avatarX}" y="${avatarY}" width="${avatarSize}" height="${avatarSize}"
+             href="${avatarDataUri}" clip-path="url(#${clipId})"/>
+      </g>`
     : "";
 
-  const textX = 95;
+  // The language sits in the top right corner; long names move it left.
+  const showLanguage = Boolean(data.language) && !isCompact;
+  const langLabel = showLanguage
+    ? truncateText(data.language, (width - textX) / 3, 13)
+    : "";
+  const langX = Math.round(
+    Math.min(width - 105, contentRight - 20 - maxTextWidth(langLabel, 13)),
+  );
+  const langIconSvg = !showLanguage
+    ? ""
+    : langIconDataUri
+      ? `<image x="${mirrorX(langX, 16)}" y="23" width="16" height="16" href="${langIconDataUri}"/>
+         <text x="${mirrorX(langX + 20)}" y="36" class="lang"${anchor}>${escapeXml(langLabel)}</text>`
+      : `<circle cx="${mirrorX(langX + 5)}" cy="32" r="6" fill="${langColor}"/>
+           <text x="${mirrorX(langX + 17)}" y="36" class="lang"${anchor}>${escapeXml(langLabel)}</text>`;
+
+  // Stars first, then each selected counter that is non-zero. Compact cards
+  // show bare numbers on one line, using at most two thirds of it so the
+  // title keeps some room; counters that do not fit are only described.
+  const statItems = [
+    { icon: STAR_ICON, label: formatCount(data.stars, locale) },
+    ...parseStatsList(options.stats)
+      .filter((stat) => data[STAT_FIELDS[stat]])
+      .map((stat) => {
+        const count = formatNumber(data[STAT_FIELDS[stat]], locale);
+        return {
+          icon: STAT_ICONS[stat],
+          label: isCompact
+            ? count
+            : translate(locale, `prcard.${stat}`, { count }),
+        };
+      }),
+  ];
+  const stats = layoutStatItems(
+    statItems,
+    isCompact ? ((contentRight - textX - 12) * 2) / 3 : contentRight - textX,
+    rtl,
+    animated ? 450 : undefined,
+    isCompact ? 1 : Infinity,
+  );
 
-  const langIconSvg =
-    langIconDataUri && data.language
-      ? `<image x="${width - 105}" y="23" width="16" height="16" href="${langIconDataUri}"/>
-         <text x="${width - 85}" y="36" class="lang">${escapeXml(data.language)}</text>`
-      : data.language
-        ? `<circle cx="${width - 100}" cy="32" r="6" fill="${langColor}"/>
-           <text x="${width - 88}" y="36" class="lang">${escapeXml(data.language)}</text>`
-        : "";
+  const rankLabel = data.rank ? `#${data.rank} ` : "";
+  const titleRight = isCompact
+    ? contentRight - stats.width - 12
+    : showLanguage
+      ? langX - 10
+      : contentRight;
+  const title = truncateText(
+    data.orgDisplayName,
+    titleRight - textX - maxTextWidth(rankLabel, titleSize, true),
+    titleSize,
+    true,
+  );
+  const rankSvg = rankLabel ? `<tspan class="rank">#${data.rank}</tspan> ` : "";
+
+  const titleY = isCompact ? 23 : isWide ? 38 : 42;
+  const statsX = isCompact
+    ? Math.round(
+        textX + maxTextWidth(`${rankLabel}${title}`, titleSize, true) + 12,
+      )
+    : textX;
+  const statsY = isCompact ? 10 : isWide ? 68 : 58;
+
+  const repoSvg =
+    isWide && data.repo
+      ? `<text x="${mirrorX(textX)}" y="58" class="repo"${anchor}>${escapeXml(
+          truncateText(data.repo, contentRight - textX, 13),
+        )}</text>`
+      : "";
 
-  const formatCount = (n) => {
-    if (n >= 1000) return `${(n / 1000).toFixed(1)}k`;
-    return String(n);
-  };
+  const extraRows = stats.rows - 1;
+  const membersY = statsY + 42 + extraRows * 20;
+  const membersSvg = members.length
+    ? `<text x="${mirrorX(textX)}" y="${membersY}" class="members${animated ? " fade-in" : ""}"${anchor}>${escapeXml(
+        truncateText(
+          members
+            .map(
+              ([member, count]) => `${member} ${formatNumber(count, locale)}`,
+            )
+            .join(" · "),
+          contentRight - textX,
+          12,
+        ),
+      )}</text>`
+    : "";
 
-  const mergedPRsSvg =
-    data.mergedPRs > 0
-      ? `<g transform="translate(80, 0)">
-      ${mergedIcon}
-      <text x="20" y="13" class="stat">${data.mergedPRs} merged</text>
-    </g>`
-      : "";
+  const height = layout.height + extraRows * 20 + (members.length ? 20 : 0);
+
+  // Full numbers for screen readers, including what the layout leaves out.
+  const description = [
+    data.repo ? `${data.orgDisplayName} (${data.repo})` : data.orgDisplayName,
+    translate(locale, "prcard.stars", {
+      count: formatNumber(data.stars, locale),
+    }),
+    ...parseStatsList(options.stats)
+      .filter((stat) => data[STAT_FIELDS[stat]])
+      .map((stat) =>
+        translate(locale, `prcard.${stat}`, {
+          count: formatNumber(data[STAT_FIELDS[stat]], locale),
+        }),
+      ),
+    ...(data.language
+      ? [translate(locale, "prcard.language", { name: data.language })]
+      : []),
+  ].join(", ");
 
   const svg = `<svg
   width="${width}" height="${height}"
@@ -626,12 +2101,16 @@ const renderOrgCard = async (
   fill="none"
   xmlns="http://www.w3.org/2000/svg"
   role="img"
-  aria-labelledby="title-${data.org}"
+  aria-labelledby="${titleId}"
+  aria-describedby="${descId}"
 >
-  <title id="title-${data.org}">${escapeXml(data.orgDisplayName)} PR Card</title>
+  <title id="${titleId}">${escapeXml(
+    translate(locale, "prcard.title", { name: data.orgDisplayName }),
+  )}</title>
+  <desc id="${descId}">${escapeXml(description)}</desc>
   <style>
     .org-name {
-      font: 600 16px 'Segoe UI', Ubuntu, Sans-Serif;
+      font: 600 ${titleSize}px 'Segoe UI', Ubuntu, Sans-Serif;
       fill: ${colors.titleColor};
     }
     .stat {
@@ -642,6 +2121,19 @@ const renderOrgCard = async (
       font: 400 13px 'Segoe UI', Ubuntu, Sans-Serif;
       fill: ${colors.textColor};
     }
+    .rank {
+      fill: ${colors.iconColor};
+    }
+    .repo {
+      font: 400 13px 'Segoe UI', Ubuntu, Sans-Serif;
+      fill: ${colors.textColor};
+      opacity: 0.8;
+    }
+    .members {
+      font: 400 12px 'Segoe UI', Ubuntu, Sans-Serif;
+      fill: ${colors.textColor};
+      opacity: 0.8;
+    }${animated ? animationStyles() : ""}
   </style>
   <rect
     x="0.5" y="0.5"
@@ -652,18 +2144,202 @@ const renderOrgCard = async (
     stroke-opacity="${hideBorder ? 0 : 1}"
   />
   ${avatarImage}
-  <text x="${textX}" y="42" class="org-name">${escapeXml(data.orgDisplayName)}</text>
+  ${animated ? '<g class="fade-in">' : ""}
+  <text x="${mirrorX(textX)}" y="${titleY}" class="org-name"${anchor}>${rankSvg}${escapeXml(title)}</text>
   ${langIconSvg}
-  <g transform="translate(${textX}, 58)">
-    <g transform="translate(0, 0)">
-      ${starIcon}
-      <text x="20" y="13" class="stat">${formatCount(data.stars)}</text>
-    </g>
-    ${mergedPRsSvg}
+  ${repoSvg}
+  ${animated ? "</g>" : ""}
+  <g transform="translate(${mirrorX(statsX)}, ${statsY})">
+    ${stats.svg}
   </g>
+  ${membersSvg}
+</svg>`;
+
+  return withSvgIds(svg, data.org);
+};
+
+// ---------------------------------------------------------------------------
+// Leaderboard card
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} LeaderboardSection
+ * @property {string} title - Section heading ("" for a single unnamed list).
+ * @property {OrgPRData[]} entries - Ranked entries, highest first.
+ */
+
+/**
+ * Split fetched results into ranked leaderboard sections.
+ *
+ * `own_repos` controls how the user's own repositories are handled:
+ * - `separate` (default): external and own results as two ranked sections.
+ * - `combined`: a single list ranked across both.
+ * - `hide`: external results only.
+ *
+ * `limit` caps the number of entries per section (default 10).
+ *
+ * @param {UserPRsResult} result Fetched PR data.
+ * @param {Record<string, string>} options User options.
+ * @returns {LeaderboardSection[]} Sections to render.
+ */
+const buildLeaderboardSections = (result, options) => {
+  const parsedLimit = parseInt(options.limit, 10);
+  const limit = parsedLimit > 0 ? parsedLimit : 10;
+  const rank = (entries) => sortEntries(entries, options.sort).slice(0, limit);
+
+  switch (options.own_repos) {
+    case "combined":
+      return [
+        { title: "", entries: rank([...result.external, ...result.own]) },
+      ];
+    case "hide":
+      return [{ title: "", entries: rank(result.external) }];
+    default: {
+      const sections = [
+        { title: "Organizations", entries: rank(result.external) },
+      ];
+      if (result.own.length) {
+        sections.push({ title: "Own repositories", entries: rank(result.own) });
+      }
+      return sections;
+    }
+  }
+};
+
+/**
+ * Render a leaderboard card listing ranked entries in a single SVG.
+ *
+ * @param {LeaderboardSection[]} sections Sections from buildLeaderboardSections.
+ * @param {Record<string, string>} options User options (theme, colors, custom_title).
+ * @param {Record<string, string>} [customImages] Map of repo/org names to custom image URLs.
+ * @param {RenderContext} [context] Shared state across renders of one run.
+ * @returns {Promise<string>} SVG string.
+ */
+const renderLeaderboardCard = async (
+  sections,
+  options,
+  customImages = {},
+  context = {},
+) => {
+  const colors = resolveColors(options, context.themes);
+  const borderRadius = options.border_radius || "4.5";
+  const hideBorder = options.hide_border === "true";
+  const title = options.custom_title || "Top Contributions";
+
+  const width = 495;
+  const paddingX = 25;
+  const headerHeight = 55;
+  const sectionHeaderHeight = 25;
+  const rowHeight = 40;
+  const avatarSize = 24;
+  const showSectionTitles = sections.length > 1;
+  const idPrefix = SVG_ID_PLACEHOLDER;
+
+  const rows = [];
+  let y = headerHeight;
+  let rowIndex = 0;
+  for (const section of sections) {
+    if (showSectionTitles) {
+      rows.push(
+        `<text x="${paddingX}" y="${y + 15}" class="section">${escapeXml(section.title)}</text>`,
+      );
+      y += sectionHeaderHeight;
+    }
+    if (!section.entries.length) {
+      rows.push(
+        `<text x="${paddingX}" y="${y + 20}" class="repo">No merged pull requests found.</text>`,
+      );
+      y += rowHeight;
+      continue;
+    }
+    for (const [index, data] of section.entries.entries()) {
+      const avatarDataUri = await resolveAvatarDataUri(
+        data,
+        avatarSize,
+        customImages,
+        context,
+      );
+      const clipId = `${idPrefix}-avatar-clip-${rowIndex}`;
+      const avatarY = y + (rowHeight - avatarSize) / 2;
+      const avatarImage = avatarDataUri
+        ? `<clipPath id="${clipId}">
+        <rect x="${paddingX + 30}" y="${avatarY}" width="${avatarSize}" height="${avatarSize}" rx="4"/>
+      </clipPath>
+      <rect x="${paddingX + 30}" y="${avatarY}" width="${avatarSize}" height="${avatarSize}" rx="4" fill="#fff"/>
+      <image x="${paddingX + 30}" y="${avatarY}" width="${avatarSize}" height="${avatarSize}"
+             href="${avatarDataUri}" clip-path="url(#${clipId})"/>`
+        : "";
+      // Name and repository end before the stats columns.
+      const textWidth = width - 170 - (paddingX + 64) - 10;
+      const name = truncateText(data.orgDisplayName, textWidth, 14, true);
+      const repoName = truncateText(getRepoShortName(data.repo), textWidth, 12);
+
+      rows.push(`<g>
+      <text x="${paddingX}" y="${y + 24}" class="rank">${index + 1}.</text>
+      ${avatarImage}
+      <text x="${paddingX + 64}" y="${y + 17}" class="name">${escapeXml(name)}</text>
+      <text x="${paddingX + 64}" y="${y + 33}" class="repo">${escapeXml(repoName)}</text>
+      <g transform="translate(${width - 170}, ${y + 12})">
+        ${STAR_ICON}
+        <text x="20" y="13" class="stat">${formatCount(data.stars)}</text>
+      </g>
+      <g transform="translate(${width - 85}, ${y + 12})">
+        ${MERGED_ICON}
+        <text x="20" y="13" class="stat">${data.mergedPRs}</text>
+      </g>
+    </g>`);
+      y += rowHeight;
+      rowIndex += 1;
+    }
+  }
+
+  const height = y + 15;
+
+  const svg = `<svg
+  width="${width}" height="${height}"
+  viewBox="0 0 ${width} ${height}"
+  fill="none"
+  xmlns="http://www.w3.org/2000/svg"
+  role="img"
+  aria-labelledby="${idPrefix}-title"
+>
+  <title id="${idPrefix}-title">${escapeXml(title)}</title>
+  <style>
+    .header {
+      font: 600 18px 'Segoe UI', Ubuntu, Sans-Serif;
+      fill: ${colors.titleColor};
+    }
+    .section {
+      font: 600 13px 'Segoe UI', Ubuntu, Sans-Serif;
+      fill: ${colors.titleColor};
+    }
+    .name {
+      font: 600 14px 'Segoe UI', Ubuntu, Sans-Serif;
+      fill: ${colors.textColor};
+    }
+    .rank, .stat {
+      font: 400 13px 'Segoe UI', Ubuntu, Sans-Serif;
+      fill: ${colors.textColor};
+    }
+    .repo {
+      font: 400 12px 'Segoe UI', Ubuntu, Sans-Serif;
+      fill: ${colors.textColor};
+      opacity: 0.8;
+    }
+  </style>
+  <rect
+    x="0.5" y="0.5"
+    rx="${borderRadius}"
+    width="${width - 1}" height="${height - 1}"
+    fill="${colors.bgColor}"
+    stroke="${colors.borderColor}"
+    stroke-opacity="${hideBorder ? 0 : 1}"
+  />
+  <text x="${paddingX}" y="35" class="header">${escapeXml(title)}</text>
+  ${rows.join("\n  ")}
 </svg>`;
 
-  return svg;
+  return withSvgIds(svg, "leaderboard");
 };
 
 /**
@@ -679,22 +2355,101 @@ const escapeXml = (s) =>
     .replace(/"/g, "&quot;")
     .replace(/'/g, "&#39;");
 
+/**
+ * Build a prefix for the element IDs of one SVG. The readable part is the
+ * sanitized `name`; the hash covers everything in `key`.
+ * @param {string} name Readable name, e.g. the org login.
+ * @param {unknown} key JSON-serializable value identifying the card.
+ * @returns {string} An XML-safe ID prefix such as "prs-python-1a2b3c4d".
+ */
+const svgIdPrefix = (name, key) => {
+  const slug = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 32);
+  const hash = createHash("sha256")
+    .update(JSON.stringify(key))
+    .digest("hex")
+    .slice(0, 8);
+  return slug ? `prs-${slug}-${hash}` : `prs-${hash}`;
+};
+
+/**
+ * Replace embedded `data:` URIs (avatars, language icons) with a constant
+ * placeholder. Avatars are re-encoded and re-compressed by the server from
+ * time to time, so their bytes change without a visible difference.
+ * @param {string} svg SVG markup.
+ * @returns {string} SVG markup with `data:` in place of every image.
+ */
+const stripDataUris = (svg) => svg.replace(/data:[^"')\s]*/g, "data:");
+
+/**
+ * Hash of a rendered card without its embedded images, so a card whose
+ * stats, text, layout and colours did not change is recognised as
+ * unchanged.
+ * @param {string} svg SVG markup.
+ * @returns {string} Hex SHA-256 digest.
+ */
+const cardFingerprint = (svg) =>
+  createHash("sha256").update(stripDataUris(svg)).digest("hex");
+
+/** Stands in for the ID prefix until the rest of the SVG is rendered. */
+const SVG_ID_PLACEHOLDER = "\u0000svg-id\u0000";
+
+/**
+ * Replace the ID placeholder with a prefix derived from the rendered SVG,
+ * so different cards (e.g. own and external cards of the same login, or the
+ * light and dark variant) get different IDs when inlined on one page, while
+ * an unchanged card keeps its IDs. Embedded images are left out of the hash
+ * (see cardFingerprint).
+ * @param {string} svg SVG rendered with SVG_ID_PLACEHOLDER.
+ * @param {string} name Readable part of the IDs.
+ * @returns {string} SVG with unique IDs.
+ */
+const withSvgIds = (svg, name) =>
+  svg.replaceAll(SVG_ID_PLACEHOLDER, svgIdPrefix(name, stripDataUris(svg)));
+
 // ---------------------------------------------------------------------------
 // Public API
 // ---------------------------------------------------------------------------
 
 export {
   fetchUserPRs,
+  requestGraphQL,
   renderOrgCard,
+  buildLeaderboardSections,
+  renderLeaderboardCard,
   resolveColors,
+  mergeThemes,
   languageIconUrl,
   escapeXml,
+  svgIdPrefix,
+  cardFingerprint,
   LANG_ICON_SLUGS,
   parseCustomImages,
   parseExcludeList,
   parseIncludeList,
+  compileRepoRules,
+  parseUsernameList,
+  parseThemeList,
+  parseDateOption,
+  isRelativeDateOption,
+  parseStatsList,
+  parseDuration,
+  parseCardLimits,
+  applyCardLimits,
+  sortEntries,
+  SORT_ORDERS,
+  CARD_LAYOUTS,
+  estimateTextWidth,
+  truncateText,
+  DEFAULT_IMAGE_CACHE_TTL,
+  buildDateQualifier,
+  buildMergedQualifier,
   shouldExcludeRepo,
   getRepoShortName,
   resolveOrgDisplayName,
   toRawUrl,
+  resolveGraphQLUrl,
 };
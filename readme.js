@@ -0,0 +1,204 @@
+// @ts-check
+
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import {
+  buildMergedQualifier,
+  escapeXml,
+  isRelativeDateOption,
+  parseDateOption,
+} from "./prs.js";
+
+/** Markers around the generated card section in the target markdown file. */
+const README_START = "<!-- PR-CARDS:START -->";
+const README_END = "<!-- PR-CARDS:END -->";
+
+/** Default number of cards per table row. */
+const DEFAULT_README_COLUMNS = 2;
+
+/**
+ * @typedef {Object} ReadmeImage
+ * @property {string} label - Theme variant label ("" without `themes`).
+ * @property {string} file - Absolute path of the written card image.
+ */
+
+/**
+ * @typedef {Object} ReadmeCard
+ * @property {string} org - Organization (or owner) login.
+ * @property {string} repo - Main repository (`owner/repo`).
+ * @property {string} displayName - Name used in the alt text.
+ * @property {"external" | "own"} kind - External organisation or own repo.
+ * @property {ReadmeImage[]} images - One image per theme variant.
+ */
+
+/**
+ * @typedef {Object} ReadmeOptions
+ * @property {number} columns - Cards per table row.
+ * @property {string} readmeDir - Directory of the markdown file; image paths
+ *   are relative to it.
+ * @property {string} [serverUrl] - GitHub web URL (default github.com).
+ * @property {string[]} usernames - PR authors for the search links.
+ * @property {"org" | "repo"} [groupBy] - Whether external cards are per
+ *   organisation or per repository.
+ * @property {string} [since] - `since` option of the counted window.
+ * @property {string} [until] - `until` option of the counted window.
+ */
+
+/**
+ * Parse the `readme_columns` option.
+ * @param {string | undefined} value Option value.
+ * @returns {number} Cards per row.
+ * @throws {Error} If the value is not a positive whole number.
+ */
+const parseReadmeColumns = (value) => {
+  if (value === undefined || value === "") return DEFAULT_README_COLUMNS;
+  if (!/^\d+$/.test(value.trim()) || Number(value) < 1) {
+    throw new Error(
+      `Invalid readme_columns "${value}": expected a positive whole number.`,
+    );
+  }
+  return Number(value);
+};
+
+/**
+ * `merged:` qualifier that limits the links to the counted window. Relative
+ * bounds such as `365d` are left out, as they resolve to a new date every
+ * day and would rewrite the README although no card changed.
+ * @param {ReadmeOptions} options Section options.
+ * @returns {string} Qualifier, or "" without absolute bounds.
+ */
+const buildLinkQualifier = (options) => {
+  const absolute = (value) =>
+    isRelativeDateOption(value) ? "" : parseDateOption(value);
+  return buildMergedQualifier(absolute(options.since), absolute(options.until));
+};
+
+/**
+ * Link to the merged PRs of the users in an organisation or repository.
+ * @param {ReadmeCard} card Card to link.
+ * @param {ReadmeOptions} options Section options.
+ * @returns {string} Search URL.
+ */
+const buildPrSearchUrl = (card, options) => {
+  const scope =
+    card.kind === "own" || options.groupBy === "repo"
+      ? `repo:${card.repo}`
+      : `owner:${card.org}`;
+  const query = [
+    scope,
+    ...options.usernames.map((username) => `author:${username}`),
+    "is:merged",
+    buildLinkQualifier(options),
+  ]
+    .filter(Boolean)
+    .join(" ");
+  const serverUrl = (options.serverUrl || "https://github.com").replace(
+    /\/+$/,
+    "",
+  );
+  return `${serverUrl}/search?q=${encodeURIComponent(query)}&type=pullrequests`;
+};
+
+/**
+ * Image path relative to the markdown file, with forward slashes.
+ * @param {string} file Absolute image path.
+ * @param {string} readmeDir Directory of the markdown file.
+ * @returns {string} Relative path starting with "./" or "../".
+ */
+const toReadmePath = (file, readmeDir) => {
+  const relative = path.relative(readmeDir, file).split(path.sep).join("/");
+  return relative.startsWith("../") ? relative : `./${relative}`;
+};
+
+/**
+ * Render the image of one card. With `light` and `dark` theme variants a
+ * `<picture>` follows the viewer's colour scheme; otherwise the first
+ * variant is shown.
+ * @param {ReadmeCard} card Card to show.
+ * @param {string} readmeDir Directory of the markdown file.
+ * @returns {string} HTML.
+ */
+const renderCardImage = (card, readmeDir) => {
+  const src = (image) => escapeXml(toReadmePath(image.file, readmeDir));
+  const dark = card.images.find((image) => image.label === "dark");
+  const light = card.images.find((image) => image.label === "light");
+  const fallback = light || card.images[0];
+  const img = `<img src="${src(fallback)}" alt="${escapeXml(`${card.displayName} pull requests`)}" />`;
+  if (!dark) return img;
+  return `<picture>
+          <source srcset="${src(dark)}" media="(prefers-color-scheme: dark)" />
+          ${img}
+        </picture>`;
+};
+
+/**
+ * Build the HTML table of linked card images for the README section.
+ * @param {ReadmeCard[]} cards Cards in display order.
+ * @param {ReadmeOptions} options Section options.
+ * @returns {string} HTML.
+ */
+const buildCardTable = (cards, options) => {
+  if (!cards.length) return "<p>No merged pull requests found.</p>";
+  const rows = [];
+  for (let i = 0; i < cards.length; i += options.columns) {
+    const cells = cards.slice(i, i + options.columns).map(
+      (card) => `    <td>
+      <a href="${escapeXml(buildPrSearchUrl(card, options))}">
+        ${renderCardImage(card, options.readmeDir)}
+      </a>
+    </td>`,
+    );
+    rows.push(`  <tr>\n${cells.join("\n")}\n  </tr>`);
+  }
+  return `<table>\n${rows.join("\n")}\n</table>`;
+};
+
+/**
+ * Replace everything between the PR-CARDS markers with `content`.
+ * @param {string} markdown Markdown document.
+ * @param {string} content New section content.
+ * @returns {string} Updated document.
+ * @throws {Error} If the markers are missing or out of order.
+ */
+const replaceMarkedSection = (markdown, content) => {
+  const start = markdown.indexOf(README_START);
+  const end = markdown.indexOf(README_END, start + README_START.length);
+  if (start === -1 || end === -1) {
+    throw new Error(
+      `Could not find ${README_START} followed by ${README_END}.`,
+    );
+  }
+  return `${markdown.slice(0, start + README_START.length)}\n${content}\n${markdown.slice(end)}`;
+};
+
+/**
+ * Rewrite the card section of a markdown file.
+ * @param {string} filePath Path of the markdown file.
+ * @param {string} content New section content.
+ * @param {{ dryRun?: boolean }} [options] With `dryRun`, only check whether
+ *   the file would change.
+ * @returns {Promise<boolean>} Whether the file changed (or would change).
+ */
+const updateReadme = async (filePath, content, { dryRun = false } = {}) => {
+  const markdown = await readFile(filePath, "utf8");
+  let updated;
+  try {
+    updated = replaceMarkedSection(markdown, content);
+  } catch (err) {
+    throw new Error(`${filePath}: ${err instanceof Error ? err.message : err}`);
+  }
+  if (updated === markdown) return false;
+  if (!dryRun) await writeFile(filePath, updated, "utf8");
+  return true;
+};
+
+export {
+  README_START,
+  README_END,
+  DEFAULT_README_COLUMNS,
+  parseReadmeColumns,
+  buildPrSearchUrl,
+  buildCardTable,
+  replaceMarkedSection,
+  updateReadme,
+};
@@ -0,0 +1,83 @@
+import { test, expect, describe, beforeAll, afterAll } from "@jest/globals";
+
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  parseSimpleYaml,
+  parseCustomThemes,
+  loadCustomThemes,
+} from "../custom-themes.js";
+
+describe("custom themes", () => {
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), "prs-themes-"));
+  });
+
+  afterAll(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test("parseSimpleYaml reads nested mappings, quotes and comments", () => {
+    const yaml = [
+      "# company palette",
+      "---",
+      "company:",
+      '  title_color: "#0b5fff" # brand blue',
+      "  bg_color: ffffff",
+      "'quoted name':",
+      "    text_color: '333'",
+    ].join("\n");
+    expect(parseSimpleYaml(yaml)).toEqual({
+      company: { title_color: "#0b5fff", bg_color: "ffffff" },
+      "quoted name": { text_color: "333" },
+    });
+    expect(() => parseSimpleYaml("themes:\n  - dark")).toThrow(
+      "YAML lists are not supported (line 2).",
+    );
+    expect(() => parseSimpleYaml("just text")).toThrow(
+      'Expected "key: value" on line 1.',
+    );
+  });
+
+  test("parseCustomThemes validates colour keys and values", () => {
+    expect(
+      parseCustomThemes('{"brand": {"title_color": "#ABCDEF"}}', "json"),
+    ).toEqual({ brand: { title_color: "ABCDEF" } });
+    expect(() =>
+      parseCustomThemes('{"brand": {"title_colour": "fff"}}', "json"),
+    ).toThrow('Unknown key "title_colour" in custom theme "brand"');
+    expect(() => parseCustomThemes("brand:\n  bg_color: blue", "yaml")).toThrow(
+      'Invalid bg_color "blue" in custom theme "brand"',
+    );
+    expect(() => parseCustomThemes("{", "json")).toThrow(
+      "Invalid custom themes JSON",
+    );
+  });
+
+  test("loadCustomThemes reads inline definitions and files", async () => {
+    await writeFile(
+      path.join(tmpDir, "themes.yml"),
+      "brand:\n  title_color: '123456'\n",
+    );
+    const jsonFile = path.join(tmpDir, "themes.json");
+    await writeFile(jsonFile, '{"brand": {"title_color": "654321"}}');
+
+    expect(await loadCustomThemes("")).toEqual({});
+    expect(await loadCustomThemes("themes.yml", tmpDir)).toEqual({
+      brand: { title_color: "123456" },
+    });
+    expect(await loadCustomThemes(jsonFile)).toEqual({
+      brand: { title_color: "654321" },
+    });
+    expect(await loadCustomThemes("brand:\n  icon_color: abc\n")).toEqual({
+      brand: { icon_color: "abc" },
+    });
+    await expect(loadCustomThemes("missing.yml", tmpDir)).rejects.toThrow(
+      "Could not read custom themes file missing.yml",
+    );
+  });
+});
@@ -0,0 +1,242 @@
+import {
+  jest,
+  test,
+  expect,
+  describe,
+  beforeEach,
+  afterEach,
+} from "@jest/globals";
+
+import {
+  chmod,
+  mkdir,
+  mkdtemp,
+  readdir,
+  rm,
+  writeFile,
+} from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { runGit, parseAuthor, commitAndPush } from "../git.js";
+
+describe("commit and push", () => {
+  let tmpDir;
+  let remote;
+  let work;
+  const author = { name: "Card Bot", email: "bot@example.com" };
+
+  const clone = async (name) => {
+    const dir = path.join(tmpDir, name);
+    await runGit(["clone", "--quiet", remote, dir], tmpDir);
+    return dir;
+  };
+
+  const commitFile = async (dir, file, content) => {
+    await writeFile(path.join(dir, file), content);
+    await runGit(["add", file], dir);
+    await runGit(
+      [
+        "-c",
+        "user.name=Someone",
+        "-c",
+        "user.email=someone@example.com",
+        "commit",
+        "--quiet",
+        "-m",
+        `Add ${file}`,
+      ],
+      dir,
+    );
+  };
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), "prs-git-"));
+    remote = path.join(tmpDir, "remote.git");
+    await runGit(["init", "--quiet", "--bare", "-b", "main", remote], tmpDir);
+    const seed = path.join(tmpDir, "seed");
+    await runGit(["init", "--quiet", "-b", "main", seed], tmpDir);
+    await commitFile(seed, "README.md", "# Profile\n");
+    await runGit(["push", "--quiet", remote, "main"], seed);
+    work = await clone("work");
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test("parseAuthor reads Name <email> and defaults to the actions bot", () => {
+    expect(parseAuthor("Card Bot <bot@example.com>")).toEqual(author);
+    expect(parseAuthor("").name).toBe("github-actions[bot]");
+    expect(() => parseAuthor("bot@example.com")).toThrow(
+      'Invalid author "bot@example.com": expected "Name <email>".',
+    );
+  });
+
+  test("commits only the given files and skips unchanged runs", async () => {
+    const card = path.join(work, "prs-python.svg");
+    await writeFile(card, "<svg/>");
+    await writeFile(path.join(work, "notes.txt"), "not a card");
+
+    const result = await commitAndPush({
+      files: [card],
+      author,
+      cwd: work,
+      message: "Update cards",
+    });
+    expect(result).toEqual({
+      committed: true,
+      sha: expect.stringMatching(/^[0-9a-f]{40}$/),
+      branch: "main",
+    });
+    expect(
+      await runGit(["log", "-1", "--format=%an <%ae> %s", "main"], remote),
+    ).toBe("Card Bot <bot@example.com> Update cards");
+    expect(
+      await runGit(["show", "--name-only", "--format=", "main"], remote),
+    ).toBe("prs-python.svg");
+
+    expect(await commitAndPush({ files: [card], author, cwd: work })).toEqual({
+      committed: false,
+    });
+  });
+
+  test("commits deletions of pruned cards", async () => {
+    await commitFile(work, "prs-old.svg", "<svg/>");
+    await runGit(["push", "--quiet", "origin", "main"], work);
+    await rm(path.join(work, "prs-old.svg"));
+
+    const result = await commitAndPush({
+      files: [path.join(work, "prs-old.svg"), path.join(work, "never.svg")],
+      author,
+      cwd: work,
+    });
+    expect(result.committed).toBe(true);
+    expect(await runGit(["ls-tree", "--name-only", "main"], remote)).toBe(
+      "README.md",
+    );
+  });
+
+  test("rebases and retries when the push is rejected", async () => {
+    const other = await clone("other");
+    await commitFile(other, "other.txt", "pushed first");
+    await runGit(["push", "--quiet", "origin", "main"], other);
+
+    const card = path.join(work, "prs-python.svg");
+    await writeFile(card, "<svg/>");
+    const sleep = jest.fn(async () => {});
+    const result = await commitAndPush({
+      files: [card],
+      author,
+      cwd: work,
+      sleep,
+    });
+    expect(result.committed).toBe(true);
+    expect(sleep).toHaveBeenCalledTimes(1);
+    expect(
+      (await runGit(["ls-tree", "--name-only", "main"], remote)).split("\n"),
+    ).toEqual(["README.md", "other.txt", "prs-python.svg"]);
+  });
+
+  test("commits to another branch without its own history", async () => {
+    const seed = path.join(tmpDir, "seed");
+    await runGit(["checkout", "--quiet", "-b", "cards"], seed);
+    await commitFile(seed, "cards.txt", "card branch");
+    await runGit(["push", "--quiet", remote, "cards"], seed);
+    // Unpushed work on the checked out branch stays out of the card branch.
+    await commitFile(work, "local.txt", "main only");
+    const head = await runGit(["rev-parse", "HEAD"], work);
+
+    const card = path.join(work, "profile", "prs-python.svg");
+    await mkdir(path.dirname(card));
+    await writeFile(card, "<svg/>");
+    const result = await commitAndPush({
+      files: [card],
+      branch: "cards",
+      author,
+      cwd: work,
+    });
+    expect(result).toEqual({
+      committed: true,
+      sha: await runGit(["rev-parse", "cards"], remote),
+      branch: "cards",
+    });
+    expect(
+      await runGit(["ls-tree", "-r", "--name-only", "cards"], remote),
+    ).toBe("README.md\ncards.txt\nprofile/prs-python.svg");
+    expect(await runGit(["rev-parse", "HEAD"], work)).toBe(head);
+    expect(await runGit(["status", "--porcelain"], work)).toBe("?? profile/");
+    expect(await runGit(["worktree", "list"], work)).not.toContain("\n");
+
+    expect(
+      await commitAndPush({
+        files: [card],
+        branch: "cards",
+        author,
+        cwd: work,
+      }),
+    ).toEqual({ committed: false });
+  });
+
+  test("runGit names the subcommand after -c options", async () => {
+    await expect(
+      runGit(["-c", "user.name=Card Bot", "frobnicate"], work),
+    ).rejects.toThrow(/^git frobnicate failed: /);
+  });
+
+  test("commits to another branch from a subdirectory", async () => {
+    const profile = path.join(work, "profile");
+    await mkdir(profile);
+    await writeFile(path.join(profile, "prs-python.svg"), "<svg/>");
+    const result = await commitAndPush({
+      files: ["prs-python.svg"],
+      branch: "cards",
+      author,
+      cwd: profile,
+    });
+    expect(result.committed).toBe(true);
+    expect(
+      await runGit(["ls-tree", "-r", "--name-only", "cards"], remote),
+    ).toBe("README.md\nprofile/prs-python.svg");
+  });
+
+  test("removes the worktree and keeps the error of a failed push", async () => {
+    const hook = path.join(remote, "hooks", "pre-receive");
+    await writeFile(hook, "#!/bin/sh\nexit 1\n");
+    await chmod(hook, 0o755);
+    const card = path.join(work, "prs-python.svg");
+    await writeFile(card, "<svg/>");
+    const before = await readdir(os.tmpdir());
+
+    await expect(
+      commitAndPush({
+        files: [card],
+        branch: "cards",
+        author,
+        cwd: work,
+        retries: 0,
+      }),
+    ).rejects.toThrow(/^git push failed: /);
+    expect(await runGit(["worktree", "list"], work)).not.toContain("\n");
+    const after = await readdir(os.tmpdir());
+    expect(after.filter((name) => !before.includes(name))).toEqual([]);
+  });
+
+  test("starts a missing branch from HEAD", async () => {
+    const card = path.join(work, "prs-python.svg");
+    await writeFile(card, "<svg/>");
+    const result = await commitAndPush({
+      files: [card],
+      branch: "cards",
+      author,
+      cwd: work,
+    });
+    expect(result.committed).toBe(true);
+    expect(await runGit(["ls-tree", "--name-only", "cards"], remote)).toBe(
+      "README.md\nprs-python.svg",
+    );
+    expect(await runGit(["ls-tree", "--name-only", "main"], remote)).toBe(
+      "README.md",
+    );
+  });
+});
@@ -0,0 +1,279 @@
+import {
+  jest,
+  test,
+  expect,
+  describe,
+  beforeEach,
+  afterEach,
+} from "@jest/globals";
+
+import core from "@actions/core";
+import {
+  mkdir,
+  mkdtemp,
+  readdir,
+  readFile,
+  rm,
+  writeFile,
+} from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  resolveCardOutput,
+  resolveManifestPath,
+  serializeManifest,
+  readManifestFiles,
+  pruneStaleCards,
+  writeCardFiles,
+} from "../output.js";
+import { renderOrgCard } from "../prs.js";
+
+describe("card output path", () => {
+  const cwd = path.resolve("/work");
+
+  test("the last path segment is the filename prefix", () => {
+    expect(resolveCardOutput("profile/prs-", cwd)).toEqual({
+      baseDir: path.join(cwd, "profile"),
+      prefix: "prs-",
+    });
+  });
+
+  test("a path ending in a separator is the output directory", () => {
+    expect(resolveCardOutput("generated/prs/", cwd)).toEqual({
+      baseDir: path.join(cwd, "generated", "prs"),
+      prefix: "",
+    });
+  });
+
+  test("absolute paths are kept", () => {
+    const dir = path.resolve("/tmp/cards");
+    expect(resolveCardOutput(`${dir}${path.sep}`, cwd).baseDir).toBe(dir);
+  });
+});
+
+describe("manifest", () => {
+  const cwd = path.resolve("/work");
+  const baseDir = path.join(cwd, "profile");
+
+  test("is disabled when empty or false", () => {
+    expect(resolveManifestPath(undefined, baseDir, "prs-", cwd)).toBeNull();
+    expect(resolveManifestPath("", baseDir, "prs-", cwd)).toBeNull();
+    expect(resolveManifestPath("false", baseDir, "prs-", cwd)).toBeNull();
+  });
+
+  test("defaults to <prefix>manifest.json next to the cards", () => {
+    expect(resolveManifestPath("true", baseDir, "prs-", cwd)).toBe(
+      path.join(baseDir, "prs-manifest.json"),
+    );
+  });
+
+  test("is manifest.json in a directory path without prefix", () => {
+    const { baseDir: dir, prefix } = resolveCardOutput("generated/prs/", cwd);
+    expect(resolveManifestPath("true", dir, prefix, cwd)).toBe(
+      path.join(cwd, "generated", "prs", "manifest.json"),
+    );
+  });
+
+  test("resolves a custom path against the working directory", () => {
+    expect(resolveManifestPath("data/cards.json", baseDir, "prs-", cwd)).toBe(
+      path.join(cwd, "data", "cards.json"),
+    );
+  });
+
+  test("serializes the cards as pretty JSON ending in a newline", () => {
+    const cards = [{ org: "python", file: "profile/prs-python.svg" }];
+    const text = serializeManifest("octocat", cards);
+    expect(text.endsWith("}\n")).toBe(true);
+    expect(JSON.parse(text)).toEqual({ username: "octocat", cards });
+    expect(text).toContain('\n  "cards": [\n');
+  });
+});
+
+describe("pruning stale cards", () => {
+  let tmpDir;
+  let cardDir;
+  let manifestPath;
+
+  const touch = async (...names) => {
+    for (const name of names) await writeFile(path.join(cardDir, name), "x");
+  };
+  const listed = (...names) =>
+    writeFile(
+      manifestPath,
+      serializeManifest(
+        "octocat",
+        names.map((name) => ({ file: `profile/${name}` })),
+      ),
+    );
+  const prune = (keep = [], options = {}) =>
+    pruneStaleCards({
+      manifestPath,
+      baseDir: cardDir,
+      prefix: "prs-",
+      keep: new Set(keep.map((name) => path.join(cardDir, name))),
+      cwd: tmpDir,
+      ...options,
+    });
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), "prs-prune-"));
+    cardDir = path.join(tmpDir, "profile");
+    manifestPath = path.join(cardDir, "prs-manifest.json");
+    await mkdir(cardDir);
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test("deletes cards of the previous run that were not written again", async () => {
+    await touch("prs-acme.svg", "prs-python.svg", "prs-python.png");
+    await listed("prs-acme.svg", "prs-python.svg");
+    expect(await prune(["prs-acme.svg"])).toEqual([
+      path.join(cardDir, "prs-python.svg"),
+    ]);
+    expect((await readdir(cardDir)).sort()).toEqual([
+      "prs-acme.svg",
+      "prs-manifest.json",
+      "prs-python.png",
+    ]);
+  });
+
+  test("keeps files of other steps that share the prefix", async () => {
+    await touch("prs-leaderboard.svg", "prs-year-acme.svg", "prs-old.svg");
+    await listed("prs-old.svg");
+    expect(await prune()).toEqual([path.join(cardDir, "prs-old.svg")]);
+    expect((await readdir(cardDir)).sort()).toEqual([
+      "prs-leaderboard.svg",
+      "prs-manifest.json",
+      "prs-year-acme.svg",
+    ]);
+  });
+
+  test("ignores manifest entries outside the cards", async () => {
+    await touch("prs-a.svg", "other-b.svg", "prs-c.json");
+    await mkdir(path.join(cardDir, "nested"));
+    await writeFile(path.join(cardDir, "nested", "prs-d.svg"), "x");
+    await writeFile(path.join(tmpDir, "prs-e.svg"), "x");
+    await writeFile(
+      manifestPath,
+      serializeManifest("octocat", [
+        { file: "profile/other-b.svg" },
+        { file: "profile/prs-c.json" },
+        { file: "profile/nested/prs-d.svg" },
+        { file: "prs-e.svg" },
+        { file: "profile/prs-missing.svg" },
+      ]),
+    );
+    expect(await prune()).toEqual([]);
+    expect(await readdir(tmpDir)).toContain("prs-e.svg");
+  });
+
+  test("deletes nothing without a previous manifest", async () => {
+    await touch("prs-acme.svg");
+    expect(await prune()).toEqual([]);
+    expect(await readdir(cardDir)).toEqual(["prs-acme.svg"]);
+  });
+
+  test("warns and deletes nothing if the manifest is invalid", async () => {
+    const warn = jest.spyOn(core, "warning").mockImplementation(() => {});
+    await touch("prs-acme.svg");
+    await writeFile(manifestPath, "{ not json");
+    expect(await prune()).toEqual([]);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("not pruning"));
+    warn.mockRestore();
+  });
+
+  test("a dry run only reports the stale cards", async () => {
+    await touch("prs-old.svg");
+    await listed("prs-old.svg");
+    expect(await prune([], { dryRun: true })).toEqual([
+      path.join(cardDir, "prs-old.svg"),
+    ]);
+    expect(await readdir(cardDir)).toContain("prs-old.svg");
+  });
+
+  test("refuses an empty prefix", async () => {
+    await touch("logo.png");
+    await listed("logo.png");
+    await expect(prune([], { prefix: "" })).rejects.toThrow(
+      "Refusing to prune",
+    );
+    expect(await readdir(cardDir)).toContain("logo.png");
+  });
+
+  test("readManifestFiles lists SVG and PNG of every card", async () => {
+    await writeFile(
+      manifestPath,
+      serializeManifest("octocat", [
+        { file: "profile/prs-a.svg", png: "profile/prs-a.png" },
+      ]),
+    );
+    expect(await readManifestFiles(manifestPath, tmpDir)).toEqual([
+      path.join(cardDir, "prs-a.svg"),
+      path.join(cardDir, "prs-a.png"),
+    ]);
+  });
+});
+
+describe("writing cards", () => {
+  const originalFetch = globalThis.fetch;
+  let tmpDir;
+  const data = {
+    org: "acme",
+    orgDisplayName: "Acme",
+    avatarUrl: "https://example.com/acme.png",
+    repo: "acme/rocket",
+    stars: 10,
+    mergedPRs: 2,
+    language: "",
+  };
+
+  const renderWithAvatar = async (bytes, cardData = data) => {
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => "image/png" },
+      arrayBuffer: async () => new Uint8Array(bytes).buffer,
+    }));
+    return renderOrgCard(cardData, {}, {}, {}, { imageCache: new Map() });
+  };
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), "prs-write-"));
+    jest.spyOn(core, "info").mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    jest.restoreAllMocks();
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test("a card that only differs in its avatar bytes is not written", async () => {
+    const svgPath = path.join(tmpDir, "prs-acme.svg");
+    const pngPath = path.join(tmpDir, "prs-acme.png");
+    const write = async (svg) => {
+      const output = { dryRun: false, changes: [] };
+      await writeCardFiles(svgPath, svg, "both", 1, output);
+      return output.changes.map((change) => change.status);
+    };
+
+    const first = await renderWithAvatar([1, 2, 3]);
+    expect(await write(first)).toEqual(["new", "new"]);
+    const png = await readFile(pngPath);
+
+    const newAvatar = await renderWithAvatar([4, 5, 6, 7]);
+    expect(newAvatar).not.toBe(first);
+    expect(await write(newAvatar)).toEqual(["unchanged", "unchanged"]);
+    expect(await readFile(svgPath, "utf8")).toBe(first);
+    expect(await readFile(pngPath)).toEqual(png);
+
+    const moreMerged = await renderWithAvatar([4, 5, 6, 7], {
+      ...data,
+      mergedPRs: 3,
+    });
+    expect(await write(moreMerged)).toEqual(["changed", "changed"]);
+  });
+});
@@ -0,0 +1,130 @@
+import {
+  jest,
+  test,
+  expect,
+  describe,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { renderOrgCard } from "../prs.js";
+import {
+  parsePngScale,
+  expandFontShorthand,
+  findSystemFonts,
+  pngFingerprint,
+  readPngFingerprint,
+  svgToPng,
+} from "../png.js";
+
+describe("PNG output", () => {
+  const originalFetch = globalThis.fetch;
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), "prs-png-"));
+  });
+
+  afterAll(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test("parsePngScale defaults to 2 and rejects out-of-range values", () => {
+    expect(parsePngScale(undefined)).toBe(2);
+    expect(parsePngScale("")).toBe(2);
+    expect(parsePngScale("1.5")).toBe(1.5);
+    expect(() => parsePngScale("8")).toThrow(
+      'Invalid png_scale "8": expected a number between 0.5 and 4.',
+    );
+    expect(() => parsePngScale("big")).toThrow("Invalid png_scale");
+  });
+
+  test("expandFontShorthand rewrites the card font rules", () => {
+    expect(
+      expandFontShorthand(
+        ".org-name { font: 600 16px 'Segoe UI', Ubuntu, Sans-Serif; }",
+      ),
+    ).toBe(
+      ".org-name { font-weight: 600; font-size: 16px; font-family: 'Segoe UI', Ubuntu, Sans-Serif; }",
+    );
+  });
+
+  test("findSystemFonts picks known sans-serif files in preference order", async () => {
+    await mkdir(path.join(tmpDir, "fonts", "dejavu"), { recursive: true });
+    for (const file of [
+      "dejavu/DejaVuSans.ttf",
+      "dejavu/DejaVuSansMono.ttf",
+      "Ubuntu-R.ttf",
+      "Comic.ttf",
+    ]) {
+      await writeFile(path.join(tmpDir, "fonts", file), "");
+    }
+    const fonts = await findSystemFonts([
+      path.join(tmpDir, "fonts"),
+      path.join(tmpDir, "missing"),
+    ]);
+    expect(fonts.map((font) => font.family)).toEqual(["Ubuntu", "DejaVu Sans"]);
+    expect(fonts[1].files).toEqual([
+      path.join(tmpDir, "fonts", "dejavu", "DejaVuSans.ttf"),
+    ]);
+  });
+
+  test("svgToPng rasterizes a card at the given scale", async () => {
+    globalThis.fetch = jest.fn(async () => ({ ok: false }));
+    const svg = await renderOrgCard(
+      {
+        org: "acme",
+        orgDisplayName: "Acme",
+        avatarUrl: "",
+        repo: "acme/rocket",
+        stars: 1,
+        mergedPRs: 1,
+        language: "",
+      },
+      {},
+      {},
+    );
+    const png = await svgToPng(svg, 1.5);
+    expect(png.subarray(0, 8)).toEqual(
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    );
+    // IHDR: width and height as big-endian integers.
+    expect(png.readUInt32BE(16)).toBe(675);
+    expect(png.readUInt32BE(20)).toBe(150);
+  });
+
+  test("svgToPng records what the PNG was rendered from", async () => {
+    globalThis.fetch = jest.fn(async () => ({ ok: false }));
+    const render = (stars) =>
+      renderOrgCard(
+        {
+          org: "acme",
+          orgDisplayName: "Acme",
+          avatarUrl: "",
+          repo: "acme/rocket",
+          stars,
+          mergedPRs: 1,
+          language: "",
+        },
+        {},
+        {},
+      );
+    const svg = await render(1);
+    const png = await svgToPng(svg, 1);
+    expect(png.toString("latin1", 37, 41)).toBe("tEXt");
+    const fingerprint = readPngFingerprint(png);
+    expect(fingerprint).toBe(await pngFingerprint(svg, 1));
+    expect(fingerprint).not.toBe(await pngFingerprint(svg, 3));
+    expect(fingerprint).not.toBe(await pngFingerprint(await render(2), 1));
+    expect(readPngFingerprint(png.subarray(0, 33))).toBe("");
+  });
+});
@@ -5,25 +5,49 @@ import {
   describe,
   beforeAll,
   afterAll,
+  beforeEach,
   afterEach,
 } from "@jest/globals";
 
+import { mkdtemp, readdir, readFile, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
 // Re-implement / import the pure helpers from prs.js for testing.
 // prs.js has side-effect-free exports so we can import directly.
 import {
   resolveColors,
+  mergeThemes,
   languageIconUrl,
   escapeXml,
   renderOrgCard,
+  buildLeaderboardSections,
+  renderLeaderboardCard,
   fetchUserPRs,
+  requestGraphQL,
   LANG_ICON_SLUGS,
   parseCustomImages,
   parseExcludeList,
   parseIncludeList,
+  compileRepoRules,
+  parseUsernameList,
+  parseThemeList,
+  parseDateOption,
+  parseStatsList,
+  parseDuration,
+  svgIdPrefix,
+  cardFingerprint,
+  parseCardLimits,
+  applyCardLimits,
+  sortEntries,
+  truncateText,
+  estimateTextWidth,
+  buildMergedQualifier,
   shouldExcludeRepo,
   getRepoShortName,
   resolveOrgDisplayName,
   toRawUrl,
+  resolveGraphQLUrl,
 } from "../prs.js";
 
 describe("escapeXml", () => {
@@ -310,7 +334,11 @@ describe("fetchUserPRs", () => {
       }),
     }));
 
-    const data = await fetchUserPRs("octo", "token", ["ignored"]);
+    const data = await fetchUserPRs(
+      "octo",
+      "token",
+      compileRepoRules(["ignored"]),
+    );
     // External should have the org repo
     expect(data.external).toHaveLength(1);
     expect(data.external[0].org).toBe("acme");
@@ -481,11 +509,59 @@ describe("exclude list helpers", () => {
     ]);
   });
 
-  test("shouldExcludeRepo matches substrings", () => {
-    const list = ["pydantic", "foo"];
-    expect(shouldExcludeRepo("pydantic/pydantic-core", list)).toBe(true);
-    expect(shouldExcludeRepo("foo/bar", list)).toBe(true);
+  test("shouldExcludeRepo matches bare names exactly", () => {
+    const list = compileRepoRules(["pydantic", "py"]);
+    expect(shouldExcludeRepo("pydantic/pydantic", list)).toBe(true);
+    expect(shouldExcludeRepo("Other/PY", list)).toBe(true);
+    expect(shouldExcludeRepo("pydantic/pydantic-core", list)).toBe(false);
     expect(shouldExcludeRepo("python/cpython", list)).toBe(false);
+    const glob = compileRepoRules(["*py*"]);
+    expect(shouldExcludeRepo("python/cpython", glob)).toBe(true);
+  });
+
+  test("shouldExcludeRepo matches exact names, owners and globs", () => {
+    const list = compileRepoRules(["acme/rocket", "octo/*", "*-docs"]);
+    expect(shouldExcludeRepo("Acme/Rocket", list)).toBe(true);
+    expect(shouldExcludeRepo("acme/rocket-ui", list)).toBe(false);
+    expect(shouldExcludeRepo("octo/anything", list)).toBe(true);
+    expect(shouldExcludeRepo("octopus/anything", list)).toBe(false);
+    expect(shouldExcludeRepo("acme/api-docs", list)).toBe(true);
+    expect(shouldExcludeRepo("acme-docs/api", list)).toBe(false);
+  });
+
+  test("shouldExcludeRepo matches regular expressions", () => {
+    const list = parseExcludeList("/^acme\\/api-\\D+$/");
+    expect(list).toEqual(["/^acme\\/api-\\D+$/"]);
+    const rules = compileRepoRules(list);
+    expect(shouldExcludeRepo("ACME/api-server", rules)).toBe(true);
+    expect(shouldExcludeRepo("acme/api-2", rules)).toBe(false);
+  });
+
+  test("compileRepoRules compiles each rule once and rejects invalid ones", () => {
+    const rules = compileRepoRules([" acme/* ", "!", "!acme/rocket"]);
+    expect(rules.map(({ source, negated }) => ({ source, negated }))).toEqual([
+      { source: "acme/*", negated: false },
+      { source: "acme/rocket", negated: true },
+    ]);
+    expect(() => compileRepoRules(["acme/*", "/(/"])).toThrow(
+      'Invalid repository rule "/(/"',
+    );
+  });
+
+  test("shouldExcludeRepo lets the last matching rule win", () => {
+    const list = compileRepoRules([
+      "acme/*",
+      "!acme/rocket",
+      "!/-ui$/",
+      "acme/kit-ui",
+    ]);
+    expect(shouldExcludeRepo("acme/docs", list)).toBe(true);
+    expect(shouldExcludeRepo("acme/rocket", list)).toBe(false);
+    expect(shouldExcludeRepo("acme/rocket-ui", list)).toBe(false);
+    expect(shouldExcludeRepo("acme/kit-ui", list)).toBe(true);
+    expect(
+      shouldExcludeRepo("other/repo", compileRepoRules(["!other/repo"])),
+    ).toBe(false);
   });
 });
 
@@ -748,6 +824,78 @@ describe("parseIncludeList", () => {
   });
 });
 
+describe("parseThemeList", () => {
+  test("uses theme names as labels", () => {
+    expect(parseThemeList("default, github_dark")).toEqual([
+      { label: "default", theme: "default" },
+      { label: "github_dark", theme: "github_dark" },
+    ]);
+  });
+
+  test("parses label:theme pairs and skips duplicates", () => {
+    expect(
+      parseThemeList("light:default,dark:github_dark,dark:dracula, ,"),
+    ).toEqual([
+      { label: "light", theme: "default" },
+      { label: "dark", theme: "github_dark" },
+    ]);
+  });
+
+  test("returns empty array for empty or undefined input", () => {
+    expect(parseThemeList("")).toEqual([]);
+    expect(parseThemeList(undefined)).toEqual([]);
+  });
+});
+
+describe("renderOrgCard with a shared image cache", () => {
+  const sampleData = {
+    org: "python",
+    orgDisplayName: "Python",
+    avatarUrl: "https://avatars.githubusercontent.com/u/1525981",
+    repo: "python/cpython",
+    stars: 65000,
+    mergedPRs: 12,
+    language: "Python",
+  };
+
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test("downloads each image once across themes", async () => {
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => "image/png" },
+      arrayBuffer: async () => new ArrayBuffer(8),
+    }));
+    const context = { imageCache: new Map() };
+
+    await renderOrgCard(sampleData, { theme: "default" }, {}, {}, context);
+    await renderOrgCard(sampleData, { theme: "dark" }, {}, {}, context);
+
+    // avatar + language icon
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("retries images whose download failed", async () => {
+    globalThis.fetch = jest.fn(async () => ({
+      ok: false,
+      status: 500,
+      headers: { get: () => "image/png" },
+    }));
+    const context = { imageCache: new Map() };
+
+    await renderOrgCard(sampleData, {}, {}, {}, context);
+    await renderOrgCard(sampleData, {}, {}, {}, context);
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(4);
+    expect(context.imageCache.size).toBe(0);
+  });
+});
+
 describe("renderOrgCard with zero mergedPRs", () => {
   const sampleData = {
     org: "python",
@@ -833,7 +981,12 @@ describe("fetchUserPRs with includeList", () => {
       };
     });
 
-    const data = await fetchUserPRs("octo", "token", [], ["octo/forked-repo"]);
+    const data = await fetchUserPRs(
+      "octo",
+      "token",
+      [],
+      compileRepoRules(["octo/forked-repo"]),
+    );
     expect(data.own).toHaveLength(1);
     expect(data.own[0].repo).toBe("octo/forked-repo");
     expect(data.own[0].mergedPRs).toBe(0);
@@ -876,7 +1029,12 @@ describe("fetchUserPRs with includeList", () => {
       };
     });
 
-    const data = await fetchUserPRs("octo", "token", [], ["acme/rocket"]);
+    const data = await fetchUserPRs(
+      "octo",
+      "token",
+      [],
+      compileRepoRules(["acme/rocket"]),
+    );
     expect(data.external).toHaveLength(1);
     expect(data.external[0].repo).toBe("acme/rocket");
     expect(data.external[0].mergedPRs).toBe(0);
@@ -918,8 +1076,1678 @@ describe("fetchUserPRs with includeList", () => {
       return { ok: true, json: async () => ({ data: { repository: null } }) };
     });
 
-    const data = await fetchUserPRs("octo", "token", [], ["acme/rocket"]);
+    const data = await fetchUserPRs(
+      "octo",
+      "token",
+      [],
+      compileRepoRules(["acme/rocket"]),
+    );
+    expect(data.external).toHaveLength(1);
+    expect(data.external[0].mergedPRs).toBe(1);
+  });
+
+  test("include patterns keep excluded repos and forks found by the search", async () => {
+    const repository = (nameWithOwner, login, isFork) => ({
+      nameWithOwner,
+      isFork,
+      owner: {
+        __typename: "User",
+        login,
+        avatarUrl: "https://avatars.githubusercontent.com/u/1",
+      },
+      stargazerCount: 5,
+      primaryLanguage: null,
+    });
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        data: {
+          search: {
+            nodes: [
+              { repository: repository("octo/fork-a", "octo", true) },
+              { repository: repository("octo/fork-b", "octo", true) },
+              { repository: repository("hubot/tool", "hubot", false) },
+              { repository: repository("hubot/extra", "hubot", false) },
+            ],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      }),
+    }));
+
+    const data = await fetchUserPRs(
+      "octo",
+      "token",
+      compileRepoRules(["hubot/*"]),
+      compileRepoRules(["octo/fork-*", "!octo/fork-b", "/tool$/"]),
+      { groupBy: "repo" },
+    );
+    expect(data.own.map((e) => e.repo)).toEqual(["octo/fork-a"]);
+    expect(data.external.map((e) => e.repo)).toEqual(["hubot/tool"]);
+    // Patterns are matched against the search results, never fetched.
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("leaderboard card", () => {
+  const entry = (org, mergedPRs, stars = 10) => ({
+    org,
+    orgDisplayName: org.toUpperCase(),
+    avatarUrl: `https://avatars.githubusercontent.com/${org}`,
+    repo: `${org}/main`,
+    stars,
+    mergedPRs,
+    language: "Go",
+  });
+  const result = {
+    external: [entry("acme", 2), entry("python", 7), entry("rust", 4)],
+    own: [entry("octo", 5)],
+  };
+
+  const originalFetch = globalThis.fetch;
+
+  beforeAll(() => {
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => "image/png" },
+      arrayBuffer: async () => new ArrayBuffer(8),
+    }));
+  });
+
+  afterAll(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test("ranks external and own results in separate sections by default", () => {
+    const sections = buildLeaderboardSections(result, { limit: "2" });
+    expect(sections).toHaveLength(2);
+    expect(sections[0].entries.map((e) => e.org)).toEqual(["python", "rust"]);
+    expect(sections[1].entries.map((e) => e.org)).toEqual(["octo"]);
+  });
+
+  test("combines external and own results into one ranking", () => {
+    const sections = buildLeaderboardSections(result, {
+      own_repos: "combined",
+      limit: "3",
+    });
+    expect(sections).toHaveLength(1);
+    expect(sections[0].entries.map((e) => e.org)).toEqual([
+      "python",
+      "octo",
+      "rust",
+    ]);
+  });
+
+  test("hides own results", () => {
+    const sections = buildLeaderboardSections(result, { own_repos: "hide" });
+    expect(sections).toHaveLength(1);
+    expect(sections[0].entries).toHaveLength(3);
+  });
+
+  test("renders one row per entry with stats", async () => {
+    const sections = buildLeaderboardSections(result, {});
+    const svg = await renderLeaderboardCard(sections, { theme: "dark" }, {});
+    expect(svg).toContain("Top Contributions");
+    expect(svg).toContain("Own repositories");
+    expect(svg).toContain("PYTHON");
+    expect(svg).toContain(">main<");
+    expect(svg.match(/class="rank"/g)).toHaveLength(4);
+    expect(svg).toContain("#151515");
+  });
+
+  test("uses custom_title as heading", async () => {
+    const sections = buildLeaderboardSections(result, {});
+    const svg = await renderLeaderboardCard(sections, {
+      custom_title: "Upstream <3",
+    });
+    expect(svg).toContain("Upstream &lt;3");
+  });
+
+  test("truncates long names before the stats columns", async () => {
+    const long = {
+      ...entry("acme", 3),
+      orgDisplayName: "The Extremely Long Organization Name Foundation",
+    };
+    const svg = await renderLeaderboardCard(
+      [{ title: "", entries: [long] }],
+      {},
+    );
+    const name = /class="name">([^<]+)</.exec(svg)[1];
+    expect(name).toMatch(/…$/);
+    expect(estimateTextWidth(name, 14, true)).toBeLessThanOrEqual(226);
+  });
+});
+
+describe("merge date window", () => {
+  const now = new Date("2025-03-15T12:00:00Z");
+
+  test("parseDateOption keeps absolute dates", () => {
+    expect(parseDateOption("2024-01-01", now)).toBe("2024-01-01");
+    expect(parseDateOption(" 2024-01-01T10:00:00Z ", now)).toBe(
+      "2024-01-01T10:00:00Z",
+    );
+  });
+
+  test("parseDateOption resolves relative durations", () => {
+    expect(parseDateOption("10d", now)).toBe("2025-03-05");
+    expect(parseDateOption("2w", now)).toBe("2025-03-01");
+    expect(parseDateOption("3m", now)).toBe("2024-12-15");
+    expect(parseDateOption("1y", now)).toBe("2024-03-15");
+  });
+
+  test("parseDateOption returns empty string when unset", () => {
+    expect(parseDateOption(undefined, now)).toBe("");
+    expect(parseDateOption("  ", now)).toBe("");
+  });
+
+  test("parseDateOption rejects invalid values", () => {
+    expect(() => parseDateOption("last year", now)).toThrow("Invalid date");
+    expect(() => parseDateOption("2024-13-45", now)).toThrow("Invalid date");
+  });
+
+  test("buildMergedQualifier covers open and closed windows", () => {
+    expect(buildMergedQualifier("2024-01-01", "2024-12-31")).toBe(
+      "merged:2024-01-01..2024-12-31",
+    );
+    expect(buildMergedQualifier("2024-01-01", "")).toBe("merged:>=2024-01-01");
+    expect(buildMergedQualifier("", "2024-12-31")).toBe("merged:<=2024-12-31");
+    expect(buildMergedQualifier("", "")).toBe("");
+  });
+
+  test("fetchUserPRs restricts the search to the window", async () => {
+    const originalFetch = globalThis.fetch;
+    const queries = [];
+    globalThis.fetch = jest.fn(async (_url, opts) => {
+      queries.push(JSON.parse(opts.body).variables.searchQuery);
+      return {
+        ok: true,
+        json: async () => ({
+          data: {
+            search: {
+              nodes: [],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        }),
+      };
+    });
+
+    try {
+      await fetchUserPRs("octo", "token", [], [], {
+        since: "2024-01-01",
+        until: "2024-12-31",
+      });
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+
+    expect(queries).toEqual([
+      "type:pr author:octo is:merged merged:2024-01-01..2024-12-31",
+    ]);
+  });
+});
+
+describe("fetchUserPRs beyond the search result limit", () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const prNode = (id) => ({
+    id,
+    repository: {
+      nameWithOwner: "acme/rocket",
+      isFork: false,
+      owner: {
+        __typename: "Organization",
+        login: "acme",
+        avatarUrl: "https://avatars.githubusercontent.com/u/2",
+        name: "Acme Corp",
+      },
+      stargazerCount: 500,
+      primaryLanguage: { name: "Go" },
+    },
+  });
+
+  test("bisects busy merge windows and de-duplicates PRs", async () => {
+    const queries = [];
+    globalThis.fetch = jest.fn(async (_url, opts) => {
+      const { searchQuery } = JSON.parse(opts.body).variables;
+      queries.push(searchQuery);
+      const [, from, to] = searchQuery.match(/merged:(\S+)\.\.(\S+)/);
+      const days = (Date.parse(to) - Date.parse(from)) / 86_400_000;
+      const search =
+        days > 200
+          ? { issueCount: 1500, nodes: [prNode("dropped")] }
+          : { issueCount: 2, nodes: [prNode(from), prNode("shared")] };
+      return {
+        ok: true,
+        json: async () => ({
+          data: {
+            search: {
+              ...search,
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        }),
+      };
+    });
+
+    const data = await fetchUserPRs("octo", "token", [], [], {
+      since: "2024-01-01",
+      until: "2024-12-31",
+    });
+
+    expect(queries).toHaveLength(3);
+    expect(queries[1]).toContain("merged:2024-01-01T00:00:00+00:00..");
+    expect(queries[2]).toContain("..2024-12-31T23:59:59+00:00");
+    // One PR unique to each half plus one returned by both.
     expect(data.external).toHaveLength(1);
+    expect(data.external[0].mergedPRs).toBe(3);
+  });
+
+  test("keeps the plain query when results fit", async () => {
+    const queries = [];
+    globalThis.fetch = jest.fn(async (_url, opts) => {
+      queries.push(JSON.parse(opts.body).variables.searchQuery);
+      return {
+        ok: true,
+        json: async () => ({
+          data: {
+            search: {
+              issueCount: 1000,
+              nodes: [prNode("pr-1")],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        }),
+      };
+    });
+
+    const data = await fetchUserPRs("octo", "token");
+
+    expect(queries).toEqual(["type:pr author:octo is:merged"]);
     expect(data.external[0].mergedPRs).toBe(1);
   });
 });
+
+describe("extra PR counters", () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const prNode = (owner, name) => ({
+    repository: {
+      nameWithOwner: `${owner}/${name}`,
+      isFork: false,
+      owner: {
+        __typename: owner === "octo" ? "User" : "Organization",
+        login: owner,
+        avatarUrl: `https://avatars.githubusercontent.com/${owner}`,
+        name: owner,
+      },
+      stargazerCount: 10,
+      primaryLanguage: { name: "Go" },
+    },
+  });
+
+  test("parseStatsList keeps known stats and defaults to merged", () => {
+    expect(parseStatsList("merged, open,bogus,open,REVIEWED")).toEqual([
+      "merged",
+      "open",
+      "reviewed",
+    ]);
+    expect(parseStatsList("")).toEqual(["merged"]);
+    expect(parseStatsList("bogus")).toEqual(["merged"]);
+  });
+
+  test("fetchUserPRs counts open and reviewed PRs per org and own repo", async () => {
+    const queries = [];
+    globalThis.fetch = jest.fn(async (_url, opts) => {
+      const { searchQuery } = JSON.parse(opts.body).variables;
+      queries.push(searchQuery);
+      let nodes = [prNode("acme", "rocket"), prNode("octo", "mine")];
+      if (searchQuery.includes("is:open")) {
+        nodes = [prNode("acme", "other"), prNode("acme", "rocket")];
+      } else if (searchQuery.includes("reviewed-by:")) {
+        nodes = [prNode("octo", "mine"), prNode("elsewhere", "repo")];
+      }
+      return {
+        ok: true,
+        json: async () => ({
+          data: {
+            search: {
+              nodes,
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        }),
+      };
+    });
+
+    const data = await fetchUserPRs("octo", "token", [], [], {
+      stats: ["merged", "open", "reviewed"],
+    });
+
+    expect(queries).toEqual([
+      "type:pr author:octo is:merged",
+      "type:pr author:octo is:open",
+      "type:pr reviewed-by:octo -author:octo",
+    ]);
+    expect(data.external[0].openPRs).toBe(2);
+    expect(data.external[0].reviewedPRs).toBe(0);
+    expect(data.own[0].openPRs).toBe(0);
+    expect(data.own[0].reviewedPRs).toBe(1);
+    expect(data.external[0].closedPRs).toBeUndefined();
+    expect(data.external[1]).toMatchObject({
+      org: "elsewhere",
+      repo: "elsewhere/repo",
+      mergedPRs: 0,
+      openPRs: 0,
+      reviewedPRs: 1,
+    });
+  });
+
+  test("fetchUserPRs creates entries for orgs with only a requested stat", async () => {
+    globalThis.fetch = jest.fn(async (_url, opts) => {
+      const { searchQuery } = JSON.parse(opts.body).variables;
+      const nodes = searchQuery.includes("is:open")
+        ? [prNode("acme", "rocket"), prNode("octo", "mine")]
+        : [];
+      return {
+        ok: true,
+        json: async () => ({
+          data: {
+            search: {
+              nodes,
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        }),
+      };
+    });
+
+    const data = await fetchUserPRs("octo", "token", [], [], {
+      stats: ["merged", "open"],
+    });
+    expect(data.external).toEqual([
+      expect.objectContaining({
+        org: "acme",
+        repo: "acme/rocket",
+        mergedPRs: 0,
+        openPRs: 1,
+      }),
+    ]);
+    expect(data.own).toEqual([
+      expect.objectContaining({ repo: "octo/mine", mergedPRs: 0, openPRs: 1 }),
+    ]);
+
+    const mergedOnly = await fetchUserPRs("octo", "token", [], []);
+    expect(mergedOnly.external).toEqual([]);
+  });
+
+  test("renderOrgCard shows selected non-zero counters in order", async () => {
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => "image/png" },
+      arrayBuffer: async () => new ArrayBuffer(8),
+    }));
+    const data = {
+      org: "acme",
+      orgDisplayName: "Acme",
+      avatarUrl: "https://avatars.githubusercontent.com/u/2",
+      repo: "acme/rocket",
+      stars: 10,
+      mergedPRs: 4,
+      openPRs: 2,
+      closedPRs: 0,
+      reviewedPRs: 7,
+    };
+
+    const svg = await renderOrgCard(
+      { ...data, language: "" },
+      { stats: "reviewed,merged,open,closed" },
+      {},
+    );
+
+    expect(svg).toContain("7 reviewed");
+    expect(svg).toContain("4 merged");
+    expect(svg).toContain("2 open");
+    expect(svg).not.toContain("closed");
+    expect(svg.indexOf("7 reviewed")).toBeLessThan(svg.indexOf("4 merged"));
+  });
+});
+
+describe("fetchUserPRs grouped by repository", () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const prNode = (name, stars, language) => ({
+    repository: {
+      nameWithOwner: `acme/${name}`,
+      isFork: false,
+      owner: {
+        __typename: "Organization",
+        login: "acme",
+        avatarUrl: "https://avatars.githubusercontent.com/u/2",
+        name: "Acme Corp",
+      },
+      stargazerCount: stars,
+      primaryLanguage: { name: language },
+    },
+  });
+
+  beforeEach(() => {
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        data: {
+          search: {
+            nodes: [
+              prNode("rocket", 500, "Go"),
+              prNode("docs", 20, "Markdown"),
+              prNode("docs", 20, "Markdown"),
+            ],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      }),
+    }));
+  });
+
+  test("collapses repositories per organization by default", async () => {
+    const data = await fetchUserPRs("octo", "token");
+    expect(data.external).toHaveLength(1);
+    expect(data.external[0].repo).toBe("acme/rocket");
+    expect(data.external[0].mergedPRs).toBe(3);
+  });
+
+  test("emits one entry per repository with group_by=repo", async () => {
+    const data = await fetchUserPRs("octo", "token", [], [], {
+      groupBy: "repo",
+    });
+    expect(data.external).toHaveLength(2);
+    expect(data.external[0]).toMatchObject({
+      org: "acme",
+      orgDisplayName: "docs",
+      repo: "acme/docs",
+      stars: 20,
+      mergedPRs: 2,
+      language: "Markdown",
+    });
+    expect(data.external[1]).toMatchObject({
+      repo: "acme/rocket",
+      stars: 500,
+      mergedPRs: 1,
+    });
+  });
+});
+
+describe("requestGraphQL", () => {
+  const originalFetch = globalThis.fetch;
+  const originalWarn = console.warn;
+
+  beforeEach(() => {
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    console.warn = originalWarn;
+  });
+
+  const response = (status, headers = {}, body = { data: { ok: true } }) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    headers: new Headers(headers),
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  });
+
+  test("retries transient server errors with backoff", async () => {
+    globalThis.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(response(502))
+      .mockRejectedValueOnce(new Error("socket hang up"))
+      .mockResolvedValueOnce(response(200));
+
+    const data = await requestGraphQL(
+      "query",
+      {},
+      {
+        token: "t",
+        retryDelay: 0,
+      },
+    );
+
+    expect(data).toEqual({ ok: true });
+    expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test("honours Retry-After on secondary rate limits", async () => {
+    globalThis.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(response(403, { "retry-after": "0" }))
+      .mockResolvedValueOnce(response(200));
+
+    await requestGraphQL("query", {}, { token: "t", retryDelay: 0 });
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringContaining("HTTP 403"),
+    );
+  });
+
+  test("retries RATE_LIMITED GraphQL errors", async () => {
+    globalThis.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(
+        response(200, {}, { errors: [{ type: "RATE_LIMITED" }] }),
+      )
+      .mockResolvedValueOnce(response(200));
+
+    await requestGraphQL("query", {}, { token: "t", retryDelay: 0 });
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("does not retry other client errors", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(response(401));
+
+    await expect(
+      requestGraphQL("query", {}, { token: "t", retryDelay: 0 }),
+    ).rejects.toThrow("GitHub API error: 401");
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("gives up after the configured number of retries", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(response(503));
+
+    await expect(
+      requestGraphQL("query", {}, { token: "t", retries: 2, retryDelay: 0 }),
+    ).rejects.toThrow("GitHub API error: 503");
+    expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test("fails fast when the rate limit resets too far in the future", async () => {
+    const reset = String(Math.floor(Date.now() / 1000) + 3600);
+    globalThis.fetch = jest.fn().mockResolvedValue(
+      response(403, {
+        "x-ratelimit-remaining": "0",
+        "x-ratelimit-reset": reset,
+      }),
+    );
+
+    await expect(
+      requestGraphQL("query", {}, { token: "t", maxRetryDelay: 60_000 }),
+    ).rejects.toThrow("retry would have to wait");
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("records the remaining rate limit budget", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(
+      response(200, {
+        "x-ratelimit-remaining": "4990",
+        "x-ratelimit-limit": "5000",
+        "x-ratelimit-reset": "1700000000",
+      }),
+    );
+    const rateLimit = {};
+
+    await requestGraphQL("query", {}, { token: "t", rateLimit });
+
+    expect(rateLimit).toEqual({
+      remaining: 4990,
+      limit: 5000,
+      reset: 1700000000,
+    });
+  });
+
+  test("fetchUserPRs returns the rate limit instead of logging it", async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(
+      response(
+        200,
+        { "x-ratelimit-remaining": "4321", "x-ratelimit-limit": "5000" },
+        {
+          data: {
+            search: {
+              issueCount: 0,
+              nodes: [],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      ),
+    );
+    const info = jest.spyOn(console, "info").mockImplementation(() => {});
+    const result = await fetchUserPRs("octocat", "t");
+    expect(result.rateLimit).toMatchObject({ remaining: 4321, limit: 5000 });
+    expect(info).not.toHaveBeenCalled();
+    info.mockRestore();
+  });
+
+  test("returns partial data for NOT_FOUND errors", async () => {
+    globalThis.fetch = jest
+      .fn()
+      .mockResolvedValue(
+        response(
+          200,
+          {},
+          { data: { repository: null }, errors: [{ type: "NOT_FOUND" }] },
+        ),
+      );
+
+    const data = await requestGraphQL("query", {}, { token: "t" });
+
+    expect(data).toEqual({ repository: null });
+  });
+});
+
+describe("persistent image cache", () => {
+  const sampleData = {
+    org: "acme",
+    orgDisplayName: "Acme",
+    avatarUrl: "https://avatars.githubusercontent.com/u/2",
+    repo: "acme/rocket",
+    stars: 10,
+    mergedPRs: 1,
+    language: "",
+  };
+  const originalFetch = globalThis.fetch;
+  const originalWarn = console.warn;
+  let cacheDir;
+
+  beforeEach(async () => {
+    cacheDir = await mkdtemp(path.join(os.tmpdir(), "prs-cache-"));
+    console.warn = jest.fn();
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    console.warn = originalWarn;
+    await rm(cacheDir, { recursive: true, force: true });
+  });
+
+  const imageResponse = (bytes, headers = {}) => ({
+    ok: true,
+    status: 200,
+    headers: new Headers({ "content-type": "image/png", ...headers }),
+    arrayBuffer: async () => new Uint8Array(bytes).buffer,
+  });
+
+  const cacheEntries = async () =>
+    Promise.all(
+      (await readdir(cacheDir)).map(async (name) =>
+        JSON.parse(await readFile(path.join(cacheDir, name), "utf8")),
+      ),
+    );
+
+  test("parseDuration converts units to milliseconds", () => {
+    expect(parseDuration("90s", 0)).toBe(90_000);
+    expect(parseDuration("12h", 0)).toBe(12 * 3_600_000);
+    expect(parseDuration("7d", 0)).toBe(7 * 86_400_000);
+    expect(parseDuration("", 42)).toBe(42);
+    expect(() => parseDuration("soon", 0)).toThrow("Invalid duration");
+  });
+
+  test("stores downloads and reuses fresh entries without a request", async () => {
+    globalThis.fetch = jest.fn(async () =>
+      imageResponse([1, 2, 3], { etag: '"v1"' }),
+    );
+
+    const first = await renderOrgCard(sampleData, {}, {}, {}, { cacheDir });
+    const second = await renderOrgCard(sampleData, {}, {}, {}, { cacheDir });
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    expect(second).toBe(first);
+    const [entry] = await cacheEntries();
+    expect(entry.etag).toBe('"v1"');
+    expect(entry.dataUri).toBe("data:image/png;base64,AQID");
+  });
+
+  test("revalidates stale entries with conditional requests", async () => {
+    globalThis.fetch = jest.fn(async () =>
+      imageResponse([1, 2, 3], { etag: '"v1"' }),
+    );
+    await renderOrgCard(sampleData, {}, {}, {}, { cacheDir });
+
+    globalThis.fetch = jest.fn(async () => ({
+      ok: false,
+      status: 304,
+      headers: new Headers(),
+    }));
+    const svg = await renderOrgCard(
+      sampleData,
+      {},
+      {},
+      {},
+      { cacheDir, cacheTtl: 0 },
+    );
+
+    expect(globalThis.fetch.mock.calls[0][1].headers["If-None-Match"]).toBe(
+      '"v1"',
+    );
+    expect(svg).toContain("data:image/png;base64,AQID");
+  });
+
+  test("falls back to the cached image when the download fails", async () => {
+    globalThis.fetch = jest.fn(async () => imageResponse([1, 2, 3]));
+    await renderOrgCard(sampleData, {}, {}, {}, { cacheDir });
+
+    globalThis.fetch = jest.fn(async () => {
+      throw new Error("CDN down");
+    });
+    const svg = await renderOrgCard(
+      sampleData,
+      {},
+      {},
+      {},
+      { cacheDir, cacheTtl: 0 },
+    );
+
+    expect(svg).toContain("data:image/png;base64,AQID");
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringContaining("CDN down"),
+    );
+  });
+
+  test("ignores corrupt cache entries", async () => {
+    globalThis.fetch = jest.fn(async () => imageResponse([1, 2, 3]));
+    await renderOrgCard(sampleData, {}, {}, {}, { cacheDir });
+    const [name] = await readdir(cacheDir);
+    await writeFile(path.join(cacheDir, name), "{not json", "utf8");
+
+    const svg = await renderOrgCard(sampleData, {}, {}, {}, { cacheDir });
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    expect(svg).toContain("data:image/png;base64,AQID");
+  });
+});
+
+describe("GitHub Enterprise Server", () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test("resolveGraphQLUrl derives the GraphQL endpoint", () => {
+    expect(resolveGraphQLUrl()).toBe("https://api.github.com/graphql");
+    expect(resolveGraphQLUrl("https://api.github.com/")).toBe(
+      "https://api.github.com/graphql",
+    );
+    expect(resolveGraphQLUrl("https://ghe.example.com/api/v3")).toBe(
+      "https://ghe.example.com/api/graphql",
+    );
+  });
+
+  test("toRawUrl converts blob URLs of the configured server", () => {
+    expect(
+      toRawUrl(
+        "https://ghe.example.com/owner/repo/blob/main/logo.png?raw=true",
+        "https://ghe.example.com/",
+      ),
+    ).toBe("https://ghe.example.com/owner/repo/raw/main/logo.png");
+    expect(
+      toRawUrl(
+        "https://github.com/owner/repo/blob/main/logo.png",
+        "https://ghe.example.com",
+      ),
+    ).toBe("https://github.com/owner/repo/blob/main/logo.png");
+  });
+
+  test("fetchUserPRs uses the configured API and server URLs", async () => {
+    const urls = [];
+    globalThis.fetch = jest.fn(async (url) => {
+      urls.push(url);
+      return {
+        ok: true,
+        json: async () => ({
+          data: {
+            search: {
+              nodes: [
+                {
+                  repository: {
+                    nameWithOwner: "octo/tool",
+                    isFork: false,
+                    owner: {
+                      __typename: "User",
+                      login: "octo",
+                      avatarUrl: "https://ghe.example.com/avatars/u/1",
+                    },
+                    stargazerCount: 1,
+                    primaryLanguage: null,
+                  },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        }),
+      };
+    });
+
+    const data = await fetchUserPRs("octo", "token", [], [], {
+      apiUrl: "https://ghe.example.com/api/v3",
+      serverUrl: "https://ghe.example.com",
+    });
+
+    expect(urls).toEqual(["https://ghe.example.com/api/graphql"]);
+    expect(data.own[0].avatarUrl).toBe("https://ghe.example.com/octo.png");
+  });
+});
+
+describe("team cards", () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const prNode = (id, nameWithOwner, login, type = "Organization") => ({
+    id,
+    repository: {
+      nameWithOwner,
+      isFork: false,
+      owner: {
+        __typename: type,
+        login,
+        avatarUrl: `https://avatars.githubusercontent.com/${login}`,
+      },
+      stargazerCount: 10,
+      primaryLanguage: { name: "Go" },
+    },
+  });
+
+  const nodesByQuery = {
+    "type:pr author:octo is:merged": [
+      prNode("1", "acme/rocket", "acme"),
+      prNode("2", "acme/rocket", "acme"),
+      prNode("3", "hubot/bot", "hubot", "User"),
+    ],
+    "type:pr author:hubot is:merged": [
+      prNode("4", "acme/rocket", "acme"),
+      prNode("5", "octo/tool", "octo", "User"),
+    ],
+    "type:pr reviewed-by:octo -author:octo": [
+      prNode("6", "acme/rocket", "acme"),
+    ],
+    "type:pr reviewed-by:hubot -author:hubot": [
+      prNode("6", "acme/rocket", "acme"),
+      prNode("7", "acme/rocket", "acme"),
+    ],
+  };
+
+  beforeEach(() => {
+    globalThis.fetch = jest.fn(async (_url, opts) => {
+      const { searchQuery } = JSON.parse(opts.body).variables;
+      return {
+        ok: true,
+        json: async () => ({
+          data: {
+            search: {
+              nodes: nodesByQuery[searchQuery] || [],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        }),
+      };
+    });
+  });
+
+  test("parseUsernameList splits and de-duplicates usernames", () => {
+    expect(parseUsernameList(" octo, @hubot,Octo ,,")).toEqual([
+      "octo",
+      "hubot",
+    ]);
+    expect(parseUsernameList(undefined)).toEqual([]);
+  });
+
+  test("merges the members' PRs and treats all their repos as own", async () => {
+    const data = await fetchUserPRs(["octo", "hubot"], "token");
+
+    expect(data.external).toHaveLength(1);
+    expect(data.external[0]).toMatchObject({
+      org: "acme",
+      mergedPRs: 3,
+      members: { octo: 2, hubot: 1 },
+    });
+    expect(data.own.map((e) => e.repo).sort()).toEqual([
+      "hubot/bot",
+      "octo/tool",
+    ]);
+    const bot = data.own.find((e) => e.repo === "hubot/bot");
+    expect(bot).toMatchObject({
+      org: "hubot",
+      avatarUrl: "https://github.com/hubot.png",
+      members: { octo: 1 },
+    });
+  });
+
+  test("counts a PR found for several members once", async () => {
+    const data = await fetchUserPRs(["octo", "hubot"], "token", [], [], {
+      stats: ["reviewed"],
+    });
+    expect(data.external[0].reviewedPRs).toBe(2);
+  });
+
+  test("single user results have no member breakdown", async () => {
+    const data = await fetchUserPRs("octo", "token");
+    expect(data.external[0].members).toBeUndefined();
+  });
+
+  test("renderOrgCard shows the member breakdown with show_members", async () => {
+    const data = {
+      org: "acme",
+      orgDisplayName: "Acme",
+      avatarUrl: "",
+      repo: "acme/rocket",
+      stars: 10,
+      mergedPRs: 3,
+      language: "",
+      members: { octo: 2, hubot: 1 },
+    };
+    globalThis.fetch = jest.fn(async () => ({ ok: false }));
+
+    const plain = await renderOrgCard(data, {}, {});
+    expect(plain).toContain('height="100"');
+    expect(plain).not.toContain('class="members"');
+
+    const svg = await renderOrgCard(data, { show_members: "true" }, {});
+    expect(svg).toContain('height="120"');
+    expect(svg).toContain("octo 2 · hubot 1");
+  });
+});
+
+describe("card limits", () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const entry = (repo, mergedPRs, stars) => ({
+    org: repo.split("/")[0],
+    orgDisplayName: repo,
+    avatarUrl: "",
+    repo,
+    stars,
+    mergedPRs,
+    language: "",
+  });
+
+  test("parseCardLimits reads shared and per-kind options", () => {
+    const options = { min_prs: "2", own_min_prs: "0", external_max_cards: "5" };
+    expect(parseCardLimits(options, "external")).toEqual({
+      minPRs: 2,
+      maxCards: 5,
+    });
+    expect(parseCardLimits(options, "own")).toEqual({ minPRs: 0 });
+    expect(parseCardLimits({}, "own")).toEqual({});
+    expect(() => parseCardLimits({ min_stars: "ten" }, "own")).toThrow(
+      'Invalid min_stars "ten"',
+    );
+  });
+
+  test("applyCardLimits filters by thresholds and caps the count", () => {
+    const entries = [
+      entry("a/one", 9, 100),
+      entry("b/two", 5, 0),
+      entry("c/three", 3, 50),
+      entry("d/four", 1, 500),
+      entry("e/five", 2, 20),
+    ];
+    const repos = (list) => list.map((e) => e.repo);
+
+    expect(
+      repos(applyCardLimits(entries, { minPRs: 2, minStars: 10 })),
+    ).toEqual(["a/one", "c/three", "e/five"]);
+    expect(repos(applyCardLimits(entries, { maxCards: 2 }))).toEqual([
+      "a/one",
+      "b/two",
+    ]);
+    expect(
+      repos(
+        applyCardLimits(
+          entries,
+          { minPRs: 2, maxCards: 1 },
+          (e) => e.repo === "d/four",
+        ),
+      ),
+    ).toEqual(["a/one", "d/four"]);
+  });
+
+  test("fetchUserPRs applies limits but keeps forced includes", async () => {
+    const node = (nameWithOwner, stars) => ({
+      repository: {
+        nameWithOwner,
+        isFork: false,
+        owner: {
+          __typename: "User",
+          login: nameWithOwner.split("/")[0],
+          avatarUrl: "https://avatars.githubusercontent.com/u/1",
+        },
+        stargazerCount: stars,
+        primaryLanguage: null,
+      },
+    });
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        data: {
+          search: {
+            nodes: [
+              node("acme/rocket", 100),
+              node("acme/rocket", 100),
+              node("typo/fix", 1),
+              node("octo/tool", 0),
+            ],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      }),
+    }));
+
+    const data = await fetchUserPRs(
+      "octo",
+      "token",
+      [],
+      compileRepoRules(["typo/*"]),
+      {
+        limits: { external: { minPRs: 2 }, own: { minStars: 1 } },
+      },
+    );
+    expect(data.external.map((e) => e.repo)).toEqual([
+      "acme/rocket",
+      "typo/fix",
+    ]);
+    expect(data.own).toEqual([]);
+  });
+});
+
+describe("sort order and rank", () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const entry = (name, mergedPRs, stars, lastMergedAt = "") => ({
+    org: name.toLowerCase(),
+    orgDisplayName: name,
+    avatarUrl: "",
+    repo: `${name.toLowerCase()}/main`,
+    stars,
+    mergedPRs,
+    language: "",
+    lastMergedAt,
+  });
+
+  const entries = [
+    entry("beta", 3, 10, "2025-01-01T00:00:00Z"),
+    entry("Alpha", 5, 10, "2024-06-01T00:00:00Z"),
+    entry("gamma", 1, 900, ""),
+    entry("delta", 3, 50, "2025-03-01T00:00:00Z"),
+  ];
+  const names = (list) => list.map((e) => e.orgDisplayName);
+
+  test("sortEntries supports every order", () => {
+    expect(names(sortEntries(entries))).toEqual([
+      "Alpha",
+      "beta",
+      "delta",
+      "gamma",
+    ]);
+    expect(names(sortEntries(entries, "stars"))).toEqual([
+      "gamma",
+      "delta",
+      "Alpha",
+      "beta",
+    ]);
+    expect(names(sortEntries(entries, "recent"))).toEqual([
+      "delta",
+      "beta",
+      "Alpha",
+      "gamma",
+    ]);
+    expect(names(sortEntries(entries, "name"))).toEqual([
+      "Alpha",
+      "beta",
+      "delta",
+      "gamma",
+    ]);
+    expect(names(sortEntries(entries, "bogus"))).toEqual(
+      names(sortEntries(entries)),
+    );
+    expect(names(entries)).toEqual(["beta", "Alpha", "gamma", "delta"]);
+  });
+
+  test("fetchUserPRs sorts by the latest merge per organization", async () => {
+    const node = (nameWithOwner, mergedAt) => ({
+      mergedAt,
+      repository: {
+        nameWithOwner,
+        isFork: false,
+        owner: {
+          __typename: "Organization",
+          login: nameWithOwner.split("/")[0],
+          avatarUrl: "https://avatars.githubusercontent.com/u/2",
+        },
+        stargazerCount: 10,
+        primaryLanguage: null,
+      },
+    });
+    const queries = [];
+    globalThis.fetch = jest.fn(async (_url, opts) => {
+      queries.push(JSON.parse(opts.body).query);
+      return {
+        ok: true,
+        json: async () => ({
+          data: {
+            search: {
+              nodes: [
+                node("busy/a", "2024-01-01T00:00:00Z"),
+                node("busy/b", "2024-02-01T00:00:00Z"),
+                node("fresh/a", "2025-05-01T00:00:00Z"),
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        }),
+      };
+    });
+
+    const data = await fetchUserPRs("octo", "token", [], [], {
+      sort: "recent",
+    });
+    expect(queries[0]).toContain("mergedAt");
+    expect(
+      data.external.map((e) => [e.org, e.mergedPRs, e.lastMergedAt]),
+    ).toEqual([
+      ["fresh", 1, "2025-05-01T00:00:00Z"],
+      ["busy", 2, "2024-02-01T00:00:00Z"],
+    ]);
+  });
+
+  test("leaderboard sections follow the sort option", () => {
+    const [section] = buildLeaderboardSections(
+      { external: entries, own: [] },
+      { sort: "stars", limit: "2" },
+    );
+    expect(names(section.entries)).toEqual(["gamma", "delta"]);
+  });
+
+  test("renderOrgCard shows the rank when set", async () => {
+    globalThis.fetch = jest.fn(async () => ({ ok: false }));
+    const svg = await renderOrgCard({ ...entries[0], rank: 2 }, {}, {});
+    expect(svg).toContain('<tspan class="rank">#2</tspan> beta');
+    const plain = await renderOrgCard(entries[0], {}, {});
+    expect(plain).not.toContain('class="rank"');
+  });
+});
+
+describe("card layouts", () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = jest.fn(async () => ({ ok: false }));
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const data = {
+    org: "acme",
+    orgDisplayName: "Acme Corporation International Holdings",
+    avatarUrl: "https://avatars.githubusercontent.com/u/2",
+    repo: "acme/rocket",
+    stars: 1234,
+    mergedPRs: 12,
+    openPRs: 3,
+    reviewedPRs: 40,
+    language: "Go",
+  };
+  const stats = "merged,open,reviewed";
+
+  test("truncateText shortens labels with an ellipsis", () => {
+    expect(truncateText("short", 100, 13)).toBe("short");
+    const cut = truncateText("a rather long organisation name", 80, 13);
+    expect(cut.endsWith("…")).toBe(true);
+    expect(estimateTextWidth(cut, 13)).toBeLessThanOrEqual(80);
+    expect(estimateTextWidth("WWW", 10)).toBeGreaterThan(
+      estimateTextWidth("iii", 10),
+    );
+  });
+
+  test("default layout keeps the 450x100 card", async () => {
+    const svg = await renderOrgCard(data, { stats: "merged,open" }, {});
+    expect(svg).toContain('width="450" height="100"');
+    expect(svg).toContain("font: 600 16px");
+    expect(svg).toContain("12 merged");
+    expect(svg).not.toContain('class="repo"');
+  });
+
+  test("stats that might not fit the row wrap or are left out", async () => {
+    const many = { ...data, closedPRs: 7 };
+    const allStats = "merged,open,closed,reviewed";
+    const svg = await renderOrgCard(many, { stats: allStats }, {});
+    expect(svg).toContain('width="450" height="120"');
+    expect(svg).toContain('<g transform="translate(0, 20)"');
+    const items = [
+      ...svg.matchAll(
+        /<g transform="translate\((\d+), \d+\)">\s*<svg[\s\S]*?class="stat">([^<]*)/g,
+      ),
+    ];
+    expect(items).toHaveLength(5);
+    for (const [, x, label] of items) {
+      expect(95 + Number(x) + 20 + estimateTextWidth(label, 13)).toBeLessThan(
+        430,
+      );
+    }
+
+    const compact = await renderOrgCard(
+      many,
+      { stats: allStats, layout: "compact" },
+      {},
+    );
+    expect(compact).toContain('width="320" height="36"');
+    expect(compact).toContain('class="stat">12</text>');
+    expect(compact).not.toContain('class="stat">40</text>');
+    expect(compact).toContain("40 reviewed");
+  });
+
+  test("compact layout renders a single line without the language", async () => {
+    const svg = await renderOrgCard(
+      { ...data, orgDisplayName: "Acme" },
+      { stats, layout: "compact" },
+      {},
+    );
+    expect(svg).toContain('width="320" height="36"');
+    expect(svg).toContain('class="org-name">Acme</text>');
+    expect(svg).not.toContain('class="lang"');
+    expect(svg).toContain('class="stat">12</text>');
+  });
+
+  test("wide layout shows the repository name", async () => {
+    const svg = await renderOrgCard(data, { stats, layout: "wide" }, {});
+    expect(svg).toContain('width="600" height="110"');
+    expect(svg).toContain('class="repo">acme/rocket</text>');
+    expect(svg).toContain(`${data.orgDisplayName}</text>`);
+  });
+
+  test("card_width truncates the name and wraps stats", async () => {
+    const svg = await renderOrgCard(data, { stats, card_width: "310" }, {});
+    expect(svg).toContain('width="310" height="120"');
+    expect(svg).toMatch(/class="org-name">[^<]*…<\/text>/);
+    // The full name stays available to screen readers.
+    expect(svg).toMatch(new RegExp(`<title id="[^"]+">${data.orgDisplayName}`));
+    expect(svg).toContain('transform="translate(0, 20)"');
+  });
+
+  test("truncated names leave room for wider fallback fonts", async () => {
+    const long = {
+      ...data,
+      orgDisplayName: "The Extremely Long Organization Name Foundation",
+      language: "JavaScript",
+    };
+    const wide = await renderOrgCard(long, { layout: "wide" }, {});
+    const [, titleX, title] =
+      /<text x="(\d+)"[^>]*class="org-name">([^<]+)</.exec(wide);
+    const langX = Number(/<circle cx="(\d+)"/.exec(wide)[1]) - 6;
+    // 10% wider than estimated still ends before the language label.
+    expect(
+      Number(titleX) + estimateTextWidth(title, 16, true) * 1.1,
+    ).toBeLessThan(langX);
+
+    const compact = await renderOrgCard(long, { layout: "compact" }, {});
+    const compactTitle = /class="org-name">([^<]+)</.exec(compact)[1];
+    const statsX = Number(
+      /<g transform="translate\((\d+), 10\)"/.exec(compact)[1],
+    );
+    expect(
+      Number(/<text x="(\d+)"[^>]*class="org-name"/.exec(compact)[1]) +
+        estimateTextWidth(compactTitle, 13, true) * 1.1,
+    ).toBeLessThan(statsX);
+  });
+
+  test("card_width is clamped to the layout's minimum", async () => {
+    const svg = await renderOrgCard(data, { card_width: "50" }, {});
+    expect(svg).toContain('width="300"');
+  });
+});
+
+describe("localized cards", () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = jest.fn(async () => ({ ok: false }));
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const data = {
+    org: "acme",
+    orgDisplayName: "Acme",
+    avatarUrl: "https://avatars.githubusercontent.com/u/2",
+    repo: "acme/rocket",
+    stars: 1234,
+    mergedPRs: 12,
+    language: "Go",
+  };
+
+  test("keeps the English card and number format without a locale", async () => {
+    const svg = await renderOrgCard(data, {}, {});
+    expect(svg).toContain(">Acme PR Card</title>");
+    expect(svg).toContain('class="stat">1.2k</text>');
+    expect(svg).toContain('class="stat">12 merged</text>');
+  });
+
+  test("translates text and formats numbers for a locale", async () => {
+    const svg = await renderOrgCard(data, { locale: "pt-br" }, {});
+    expect(svg).toContain(">Cartão de PR de Acme</title>");
+    // Intl separates the compact suffix with a no-break space.
+    expect(svg).toMatch(/class="stat">1,2\smil<\/text>/);
+    expect(svg).toContain('class="stat">12 mesclados</text>');
+    expect(svg).not.toContain('text-anchor="end"');
+  });
+
+  test("mirrors the layout for right-to-left locales", async () => {
+    const svg = await renderOrgCard(data, { locale: "ar" }, {});
+    expect(svg).toContain("بطاقة طلبات الدمج لـ Acme");
+    expect(svg).toContain(
+      '<text x="355" y="42" class="org-name" text-anchor="end">',
+    );
+    expect(svg).toContain('<g transform="translate(355, 58)">');
+    expect(svg).toContain('class="lang" text-anchor="end">Go</text>');
+  });
+});
+
+describe("custom themes", () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test("mergeThemes adds custom themes and overrides upstream colours", () => {
+    const themeMap = mergeThemes({
+      brand: { title_color: "0b5fff" },
+      dark: { title_color: "ff00ff" },
+    });
+    const brand = resolveColors({ theme: "brand" }, themeMap);
+    expect(brand.titleColor).toBe("#0b5fff");
+    expect(brand.bgColor).toBe("#fffefe");
+    const dark = resolveColors({ theme: "dark" }, themeMap);
+    expect(dark.titleColor).toBe("#ff00ff");
+    expect(dark.bgColor).toBe("#151515");
+    expect(resolveColors({ theme: "brand" }).titleColor).toBe("#2f80ed");
+  });
+
+  test("renderOrgCard uses the themes of the render context", async () => {
+    globalThis.fetch = jest.fn(async () => ({ ok: false }));
+    const svg = await renderOrgCard(
+      {
+        org: "acme",
+        orgDisplayName: "Acme",
+        avatarUrl: "",
+        repo: "acme/rocket",
+        stars: 1,
+        mergedPRs: 1,
+        language: "",
+      },
+      { theme: "brand" },
+      {},
+      {},
+      { themes: mergeThemes({ brand: { bg_color: "abcdef" } }) },
+    );
+    expect(svg).toContain('fill="#abcdef"');
+  });
+});
+
+describe("animated cards", () => {
+  const originalFetch = globalThis.fetch;
+  const data = {
+    org: "acme",
+    orgDisplayName: "Acme",
+    avatarUrl: "",
+    repo: "acme/rocket",
+    stars: 12,
+    mergedPRs: 3,
+    openPRs: 2,
+    language: "",
+  };
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test("cards are static by default", async () => {
+    globalThis.fetch = jest.fn(async () => ({ ok: false }));
+    const svg = await renderOrgCard(data, { stats: "merged,open" }, {});
+    expect(svg).not.toContain("@keyframes");
+    expect(svg).not.toContain("stagger");
+  });
+
+  test("animate adds keyframes, staggered stats and a reduced-motion rule", async () => {
+    globalThis.fetch = jest.fn(async () => ({ ok: false }));
+    const svg = await renderOrgCard(
+      data,
+      { animate: "true", stats: "merged,open" },
+      {},
+    );
+    expect(svg).toContain("@keyframes fadeInAnimation");
+    expect(svg).toContain("ease-in-out backwards");
+    expect(svg).toContain("@media (prefers-reduced-motion: reduce)");
+    expect(svg).toContain('<g class="fade-in">');
+    const delays = [...svg.matchAll(/animation-delay: (\d+)ms/g)].map((match) =>
+      Number(match[1]),
+    );
+    expect(delays).toEqual([450, 600, 750]);
+  });
+
+  test("disable_animations wins over animate", async () => {
+    globalThis.fetch = jest.fn(async () => ({ ok: false }));
+    const svg = await renderOrgCard(
+      data,
+      { animate: "true", disable_animations: "true" },
+      {},
+    );
+    expect(svg).not.toContain("@keyframes");
+  });
+});
+
+describe("accessible SVG output", () => {
+  const originalFetch = globalThis.fetch;
+  const data = {
+    org: "Acme.Corp",
+    orgDisplayName: "Acme & Co",
+    avatarUrl: "https://example.com/a.png",
+    repo: "Acme.Corp/rocket",
+    stars: 12345,
+    mergedPRs: 3,
+    openPRs: 2,
+    language: "Rust",
+  };
+
+  beforeEach(() => {
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      headers: { get: () => "image/png" },
+      arrayBuffer: async () => new ArrayBuffer(4),
+    }));
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test("svgIdPrefix is sanitized and deterministic", () => {
+    expect(svgIdPrefix("Acme.Corp", [1])).toMatch(
+      /^prs-acme-corp-[0-9a-f]{8}$/,
+    );
+    expect(svgIdPrefix("Acme.Corp", [1])).toBe(svgIdPrefix("Acme.Corp", [1]));
+    expect(svgIdPrefix("Acme.Corp", [1])).not.toBe(
+      svgIdPrefix("Acme.Corp", [2]),
+    );
+    expect(svgIdPrefix("日本", [1])).toMatch(/^prs-[0-9a-f]{8}$/);
+  });
+
+  test("IDs are valid, referenced and unique per card variant", async () => {
+    const light = await renderOrgCard(data, { theme: "default" }, {});
+    const dark = await renderOrgCard(data, { theme: "dark" }, {});
+    const own = await renderOrgCard(
+      { ...data, repo: "Acme.Corp/tool" },
+      { theme: "default" },
+      {},
+    );
+    const ids = (svg) => [...svg.matchAll(/ id="([^"]+)"/g)].map((m) => m[1]);
+
+    for (const svg of [light, dark, own]) {
+      for (const id of ids(svg)) {
+        expect(id).toMatch(/^[a-z][a-z0-9_-]*$/);
+      }
+      const [titleId, descId, clipId] = ids(svg);
+      expect(svg).toContain(`aria-labelledby="${titleId}"`);
+      expect(svg).toContain(`aria-describedby="${descId}"`);
+      expect(svg).toContain(`clip-path="url(#${clipId})"`);
+    }
+    expect(ids(light)).toHaveLength(3);
+    const all = [light, dark, own].flatMap(ids);
+    expect(new Set(all).size).toBe(all.length);
+    expect(await renderOrgCard(data, { theme: "default" }, {})).toBe(light);
+  });
+
+  test("options that do not change the card keep its IDs", async () => {
+    const svg = await renderOrgCard(data, {}, {});
+    expect(
+      await renderOrgCard(data, { exclude: "foo", dry_run: "true" }, {}),
+    ).toBe(svg);
+  });
+
+  test("desc lists the full stats", async () => {
+    const svg = await renderOrgCard(data, { stats: "merged,open" }, {});
+    expect(svg).toMatch(
+      /<desc id="[^"]+">Acme &amp; Co \(Acme.Corp\/rocket\), 12345 stars, 3 merged, 2 open, language Rust<\/desc>/,
+    );
+    const de = await renderOrgCard(data, { locale: "de" }, {});
+    expect(de).toContain("12.345 Sterne, 3 gemergt, Sprache Rust</desc>");
+  });
+
+  test("leaderboard IDs differ between variants", async () => {
+    const sections = [{ title: "", entries: [data] }];
+    const light = await renderLeaderboardCard(sections, {});
+    const dark = await renderLeaderboardCard(sections, { theme: "dark" });
+    const titleId = (svg) => /<title id="([^"]+)"/.exec(svg)[1];
+    expect(titleId(light)).not.toBe(titleId(dark));
+    expect(light).toContain(`aria-labelledby="${titleId(light)}"`);
+  });
+});
+
+describe("dry run", () => {
+  const originalFetch = globalThis.fetch;
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), "prs-dry-run-"));
+  });
+
+  afterAll(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test("a read-only image cache is used but not written", async () => {
+    const cacheDir = path.join(tmpDir, "cache");
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: {
+        get: (name) => (name === "content-type" ? "image/png" : null),
+      },
+      arrayBuffer: async () => new ArrayBuffer(4),
+    }));
+    const svg = await renderOrgCard(
+      {
+        org: "acme",
+        orgDisplayName: "Acme",
+        avatarUrl: "https://example.com/acme.png",
+        repo: "acme/rocket",
+        stars: 1,
+        mergedPRs: 1,
+        language: "",
+      },
+      {},
+      {},
+      {},
+      { cacheDir, readOnlyCache: true },
+    );
+    expect(svg).toContain("data:image/png;base64,");
+    await expect(readdir(cacheDir)).rejects.toThrow();
+  });
+});
+
+describe("unchanged cards", () => {
+  const originalFetch = globalThis.fetch;
+  const data = {
+    org: "acme",
+    orgDisplayName: "Acme",
+    avatarUrl: "https://example.com/acme.png",
+    repo: "acme/rocket",
+    stars: 10,
+    mergedPRs: 2,
+    language: "Rust",
+  };
+
+  const renderWithImage = async (
+    bytes,
+    cardData = data,
+    contentType = "image/png",
+  ) => {
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => contentType },
+      arrayBuffer: async () => new Uint8Array(bytes).buffer,
+    }));
+    return renderOrgCard(cardData, {}, {}, {}, { imageCache: new Map() });
+  };
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test("cardFingerprint and IDs ignore the embedded images", async () => {
+    const titleId = (svg) => /<title id="([^"]+)"/.exec(svg)[1];
+    const svg = await renderWithImage([1, 2, 3]);
+    const newAvatar = await renderWithImage([4, 5, 6, 7]);
+    const relabeled = await renderWithImage([1, 2, 3], data, "image/x-png");
+    expect(newAvatar).not.toBe(svg);
+    expect(cardFingerprint(newAvatar)).toBe(cardFingerprint(svg));
+    expect(cardFingerprint(relabeled)).toBe(cardFingerprint(svg));
+    expect(titleId(newAvatar)).toBe(titleId(svg));
+  });
+
+  test("cardFingerprint changes with the stats", async () => {
+    const svg = await renderWithImage([1, 2, 3]);
+    const moreMerged = await renderWithImage([1, 2, 3], {
+      ...data,
+      mergedPRs: 3,
+    });
+    expect(cardFingerprint(moreMerged)).not.toBe(cardFingerprint(svg));
+  });
+});
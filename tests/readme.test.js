@@ -0,0 +1,174 @@
+import {
+  jest,
+  test,
+  expect,
+  describe,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  parseReadmeColumns,
+  buildPrSearchUrl,
+  buildCardTable,
+  replaceMarkedSection,
+  updateReadme,
+} from "../readme.js";
+
+describe("README card section", () => {
+  let tmpDir;
+  const card = (org, repo, kind, labels = [""]) => ({
+    org,
+    repo,
+    displayName: org,
+    kind,
+    images: labels.map((label) => ({
+      label,
+      file: path.join(
+        tmpDir,
+        "profile",
+        `prs-${label ? `${label}-` : ""}${repo.replace("/", "-")}.svg`,
+      ),
+    })),
+  });
+  const options = () => ({
+    columns: 2,
+    readmeDir: tmpDir,
+    usernames: ["octocat"],
+  });
+
+  beforeAll(async () => {
+    tmpDir = await mkdtemp(path.join(os.tmpdir(), "prs-readme-"));
+  });
+
+  afterAll(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("parseReadmeColumns defaults to 2 and rejects invalid values", () => {
+    expect(parseReadmeColumns(undefined)).toBe(2);
+    expect(parseReadmeColumns("4")).toBe(4);
+    expect(() => parseReadmeColumns("0")).toThrow(
+      'Invalid readme_columns "0": expected a positive whole number.',
+    );
+  });
+
+  test("buildPrSearchUrl links to the merged PRs of the org or repo", () => {
+    expect(
+      buildPrSearchUrl(card("python", "python/cpython", "external"), {
+        ...options(),
+        since: "2024-01-01",
+      }),
+    ).toBe(
+      "https://github.com/search?q=owner%3Apython%20author%3Aoctocat%20is%3Amerged%20merged%3A%3E%3D2024-01-01&type=pullrequests",
+    );
+    expect(
+      buildPrSearchUrl(card("octocat", "octocat/tool", "own"), {
+        ...options(),
+        serverUrl: "https://ghe.example.com/",
+        usernames: ["a", "b"],
+      }),
+    ).toBe(
+      "https://ghe.example.com/search?q=repo%3Aoctocat%2Ftool%20author%3Aa%20author%3Ab%20is%3Amerged&type=pullrequests",
+    );
+  });
+
+  test("relative windows are left out of the links", () => {
+    const cards = [card("python", "python/cpython", "external")];
+    const render = () =>
+      buildCardTable(cards, { ...options(), since: "365d", until: "" });
+    jest.useFakeTimers({ now: new Date("2025-10-19T12:00:00Z") });
+    const first = render();
+    jest.setSystemTime(new Date("2025-10-20T12:00:00Z"));
+    expect(render()).toBe(first);
+    expect(first).not.toContain("merged%3A");
+
+    expect(
+      buildPrSearchUrl(cards[0], {
+        ...options(),
+        since: "1y",
+        until: "2025-06-30",
+      }),
+    ).toContain("is%3Amerged%20merged%3A%3C%3D2025-06-30&");
+  });
+
+  test("buildCardTable lays out linked cards in rows", () => {
+    const html = buildCardTable(
+      [
+        card("python", "python/cpython", "external"),
+        card("nodejs", "nodejs/node", "external"),
+        card("octocat", "octocat/tool", "own"),
+      ],
+      options(),
+    );
+    expect(html.match(/<tr>/g)).toHaveLength(2);
+    expect(html.match(/<td>/g)).toHaveLength(3);
+    expect(html).toContain(
+      '<img src="./profile/prs-python-cpython.svg" alt="python pull requests" />',
+    );
+    expect(html).toContain("owner%3Anodejs");
+    expect(buildCardTable([], options())).toBe(
+      "<p>No merged pull requests found.</p>",
+    );
+  });
+
+  test("light and dark variants become a picture element", () => {
+    const html = buildCardTable(
+      [card("python", "python/cpython", "external", ["dark", "light"])],
+      { ...options(), readmeDir: path.join(tmpDir, "docs") },
+    );
+    expect(html).toContain(
+      '<source srcset="../profile/prs-dark-python-cpython.svg" media="(prefers-color-scheme: dark)" />',
+    );
+    expect(html).toContain(
+      '<img src="../profile/prs-light-python-cpython.svg"',
+    );
+  });
+
+  test("replaceMarkedSection keeps the text around the markers", () => {
+    const markdown =
+      "# Me\n<!-- PR-CARDS:START -->\nold\n<!-- PR-CARDS:END -->\nBye\n";
+    expect(replaceMarkedSection(markdown, "new")).toBe(
+      "# Me\n<!-- PR-CARDS:START -->\nnew\n<!-- PR-CARDS:END -->\nBye\n",
+    );
+    expect(() => replaceMarkedSection("# Me\n", "new")).toThrow(
+      "Could not find <!-- PR-CARDS:START --> followed by <!-- PR-CARDS:END -->.",
+    );
+  });
+
+  test("updateReadme only writes when the section changes", async () => {
+    const readmePath = path.join(tmpDir, "README.md");
+    await writeFile(
+      readmePath,
+      "Intro\n<!-- PR-CARDS:START -->\n<!-- PR-CARDS:END -->\n",
+    );
+    expect(await updateReadme(readmePath, "cards")).toBe(true);
+    expect(await readFile(readmePath, "utf8")).toBe(
+      "Intro\n<!-- PR-CARDS:START -->\ncards\n<!-- PR-CARDS:END -->\n",
+    );
+    expect(await updateReadme(readmePath, "cards")).toBe(false);
+    await writeFile(readmePath, "No markers\n");
+    await expect(updateReadme(readmePath, "cards")).rejects.toThrow(
+      `${readmePath}: Could not find`,
+    );
+  });
+
+  test("updateReadme only reports the change in a dry run", async () => {
+    const readmePath = path.join(tmpDir, "README.md");
+    const markdown = "<!-- PR-CARDS:START -->\n<!-- PR-CARDS:END -->\n";
+    await writeFile(readmePath, markdown);
+    expect(await updateReadme(readmePath, "cards", { dryRun: true })).toBe(
+      true,
+    );
+    expect(await readFile(readmePath, "utf8")).toBe(markdown);
+  });
+});
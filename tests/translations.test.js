@@ -0,0 +1,20 @@
+import { test, expect, describe } from "@jest/globals";
+
+import { isLocaleAvailable, isRtlLocale, translate } from "../translations.js";
+
+describe("translate", () => {
+  test("translate falls back to the base language and English", () => {
+    expect(translate("de", "prcard.merged", { count: "3" })).toBe("3 gemergt");
+    expect(translate("PT_BR", "prcard.open", { count: "1" })).toBe("1 abertos");
+    expect(translate("zh-TW", "prcard.closed", { count: "2" })).toBe(
+      "2 已關閉",
+    );
+    expect(translate("xx", "prcard.title", { name: "Acme" })).toBe(
+      "Acme PR Card",
+    );
+    expect(isLocaleAvailable("de-AT")).toBe(true);
+    expect(isLocaleAvailable("xx")).toBe(false);
+    expect(isRtlLocale("he")).toBe(true);
+    expect(isRtlLocale("de")).toBe(false);
+  });
+});
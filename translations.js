@@ -0,0 +1,246 @@
+// @ts-check
+
+/**
+ * Strings shown on PR cards, keyed by message and locale like the
+ * translations of github-readme-stats. `{name}` and `{count}` are replaced
+ * when rendering; English is the fallback for missing locales or messages.
+ * @type {Record<string, Record<string, string>>}
+ */
+const prCardLocales = {
+  "prcard.title": {
+    en: "{name} PR Card",
+    ar: "بطاقة طلبات الدمج لـ {name}",
+    cs: "Karta PR {name}",
+    de: "PR-Karte von {name}",
+    es: "Tarjeta de PR de {name}",
+    fa: "کارت PR {name}",
+    fr: "Carte des PR de {name}",
+    he: "כרטיס PR של {name}",
+    id: "Kartu PR {name}",
+    it: "Scheda PR di {name}",
+    ja: "{name} の PR カード",
+    ko: "{name} PR 카드",
+    nl: "PR-kaart van {name}",
+    pl: "Karta PR {name}",
+    "pt-br": "Cartão de PR de {name}",
+    ru: "Карточка PR {name}",
+    sv: "PR-kort för {name}",
+    tr: "{name} PR Kartı",
+    uk: "Картка PR {name}",
+    vi: "Thẻ PR của {name}",
+    "zh-cn": "{name} 的 PR 卡片",
+    "zh-tw": "{name} 的 PR 卡片",
+  },
+  "prcard.merged": {
+    en: "{count} merged",
+    ar: "{count} مدمج",
+    cs: "{count} sloučeno",
+    de: "{count} gemergt",
+    es: "{count} fusionados",
+    fa: "{count} ادغام‌شده",
+    fr: "{count} fusionnées",
+    he: "{count} מוזגו",
+    id: "{count} digabung",
+    it: "{count} unite",
+    ja: "{count} マージ済み",
+    ko: "{count} 병합됨",
+    nl: "{count} samengevoegd",
+    pl: "{count} scalone",
+    "pt-br": "{count} mesclados",
+    ru: "{count} слито",
+    sv: "{count} sammanfogade",
+    tr: "{count} birleştirildi",
+    uk: "{count} злито",
+    vi: "{count} đã hợp nhất",
+    "zh-cn": "{count} 已合并",
+    "zh-tw": "{count} 已合併",
+  },
+  "prcard.open": {
+    en: "{count} open",
+    ar: "{count} مفتوح",
+    cs: "{count} otevřeno",
+    de: "{count} offen",
+    es: "{count} abiertos",
+    fa: "{count} باز",
+    fr: "{count} ouvertes",
+    he: "{count} פתוחים",
+    id: "{count} terbuka",
+    it: "{count} aperte",
+    ja: "{count} オープン",
+    ko: "{count} 열림",
+    nl: "{count} open",
+    pl: "{count} otwarte",
+    "pt-br": "{count} abertos",
+    ru: "{count} открыто",
+    sv: "{count} öppna",
+    tr: "{count} açık",
+    uk: "{count} відкрито",
+    vi: "{count} đang mở",
+    "zh-cn": "{count} 进行中",
+    "zh-tw": "{count} 進行中",
+  },
+  "prcard.closed": {
+    en: "{count} closed",
+    ar: "{count} مغلق",
+    cs: "{count} zavřeno",
+    de: "{count} geschlossen",
+    es: "{count} cerrados",
+    fa: "{count} بسته",
+    fr: "{count} fermées",
+    he: "{count} סגורים",
+    id: "{count} ditutup",
+    it: "{count} chiuse",
+    ja: "{count} クローズ",
+    ko: "{count} 닫힘",
+    nl: "{count} gesloten",
+    pl: "{count} zamknięte",
+    "pt-br": "{count} fechados",
+    ru: "{count} закрыто",
+    sv: "{count} stängda",
+    tr: "{count} kapalı",
+    uk: "{count} закрито",
+    vi: "{count} đã đóng",
+    "zh-cn": "{count} 已关闭",
+    "zh-tw": "{count} 已關閉",
+  },
+  "prcard.reviewed": {
+    en: "{count} reviewed",
+    ar: "{count} تمت مراجعته",
+    cs: "{count} zrevidováno",
+    de: "{count} reviewt",
+    es: "{count} revisados",
+    fa: "{count} بازبینی‌شده",
+    fr: "{count} relues",
+    he: "{count} נסקרו",
+    id: "{count} ditinjau",
+    it: "{count} revisionate",
+    ja: "{count} レビュー済み",
+    ko: "{count} 리뷰함",
+    nl: "{count} beoordeeld",
+    pl: "{count} zrecenzowane",
+    "pt-br": "{count} revisados",
+    ru: "{count} проверено",
+    sv: "{count} granskade",
+    tr: "{count} incelendi",
+    uk: "{count} перевірено",
+    vi: "{count} đã review",
+    "zh-cn": "{count} 已审查",
+    "zh-tw": "{count} 已審查",
+  },
+  "prcard.stars": {
+    en: "{count} stars",
+    ar: "{count} نجمة",
+    cs: "{count} hvězd",
+    de: "{count} Sterne",
+    es: "{count} estrellas",
+    fa: "{count} ستاره",
+    fr: "{count} étoiles",
+    he: "{count} כוכבים",
+    id: "{count} bintang",
+    it: "{count} stelle",
+    ja: "{count} スター",
+    ko: "{count} 스타",
+    nl: "{count} sterren",
+    pl: "{count} gwiazdek",
+    "pt-br": "{count} estrelas",
+    ru: "{count} звёзд",
+    sv: "{count} stjärnor",
+    tr: "{count} yıldız",
+    uk: "{count} зірок",
+    vi: "{count} sao",
+    "zh-cn": "{count} 星标",
+    "zh-tw": "{count} 星標",
+  },
+  "prcard.language": {
+    en: "language {name}",
+    ar: "اللغة {name}",
+    cs: "jazyk {name}",
+    de: "Sprache {name}",
+    es: "lenguaje {name}",
+    fa: "زبان {name}",
+    fr: "langage {name}",
+    he: "שפה {name}",
+    id: "bahasa {name}",
+    it: "linguaggio {name}",
+    ja: "言語 {name}",
+    ko: "언어 {name}",
+    nl: "taal {name}",
+    pl: "język {name}",
+    "pt-br": "linguagem {name}",
+    ru: "язык {name}",
+    sv: "språk {name}",
+    tr: "dil {name}",
+    uk: "мова {name}",
+    vi: "ngôn ngữ {name}",
+    "zh-cn": "语言 {name}",
+    "zh-tw": "語言 {name}",
+  },
+};
+
+/** Locales written right to left; cards in these locales are mirrored. */
+const RTL_LOCALES = ["ar", "fa", "he"];
+
+/**
+ * Normalize a locale option ("pt_BR", "PT-br") to the keys used above.
+ * @param {string | undefined} locale Locale option.
+ * @returns {string} Lowercase locale with "-" separators, or "".
+ */
+const normalizeLocale = (locale) =>
+  (locale || "").trim().toLowerCase().replace(/_/g, "-");
+
+/**
+ * Look up a message for a locale, falling back from "pt-br" to "pt" and
+ * then to English.
+ * @param {string} locale Normalized locale.
+ * @param {string} key Message key.
+ * @returns {string | undefined} Message template.
+ */
+const lookupMessage = (locale, key) => {
+  const messages = prCardLocales[key];
+  if (!messages) return undefined;
+  return messages[locale] ?? messages[locale.split("-")[0]] ?? messages.en;
+};
+
+/**
+ * Check whether PR card strings are translated for a locale.
+ * @param {string | undefined} locale Locale option.
+ * @returns {boolean}
+ */
+const isLocaleAvailable = (locale) => {
+  const normalized = normalizeLocale(locale);
+  const messages = prCardLocales["prcard.title"];
+  return Boolean(
+    normalized && (messages[normalized] || messages[normalized.split("-")[0]]),
+  );
+};
+
+/**
+ * Check whether a locale is written right to left.
+ * @param {string | undefined} locale Locale option.
+ * @returns {boolean}
+ */
+const isRtlLocale = (locale) =>
+  RTL_LOCALES.includes(normalizeLocale(locale).split("-")[0]);
+
+/**
+ * Translate a PR card message and fill in its placeholders.
+ * @param {string | undefined} locale Locale option.
+ * @param {string} key Message key, e.g. "prcard.merged".
+ * @param {Record<string, string>} [values] Placeholder values.
+ * @returns {string} Translated text.
+ */
+const translate = (locale, key, values = {}) => {
+  const template = lookupMessage(normalizeLocale(locale), key) ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in values ? values[name] : match,
+  );
+};
+
+export {
+  prCardLocales,
+  RTL_LOCALES,
+  normalizeLocale,
+  isLocaleAvailable,
+  isRtlLocale,
+  translate,
+};